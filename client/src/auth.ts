@@ -0,0 +1,114 @@
+import {
+  AuthSession,
+  AuthStatus,
+  AuthUser,
+  Credentials,
+  NewUserAccount,
+  PasswordChange,
+  UserAccount,
+  UserRole,
+} from "@shared/types";
+import { computed, ref } from "vue";
+
+const TOKEN_STORAGE_KEY = "weebsync.sessionToken";
+
+export const currentUser = ref<AuthUser | null>(null);
+export const isAdmin = computed(() => currentUser.value?.role === "admin");
+
+export function getSessionToken(): string | null {
+  return localStorage.getItem(TOKEN_STORAGE_KEY);
+}
+
+export function clearSessionToken() {
+  localStorage.removeItem(TOKEN_STORAGE_KEY);
+}
+
+export async function getAuthStatus(): Promise<AuthStatus> {
+  return await request<AuthStatus>("GET", "auth/status");
+}
+
+export async function login(credentials: Credentials): Promise<AuthUser> {
+  return storeSession(
+    await request<AuthSession>("POST", "auth/login", credentials),
+  );
+}
+
+/**
+ * Creates the first account, only possible as long as there is none.
+ */
+export async function setupAccount(
+  credentials: Credentials,
+): Promise<AuthUser> {
+  return storeSession(
+    await request<AuthSession>("POST", "auth/setup", credentials),
+  );
+}
+
+export async function logout() {
+  try {
+    await request("POST", "auth/logout", {});
+  } finally {
+    clearSessionToken();
+  }
+}
+
+export async function changePassword(change: PasswordChange) {
+  await request("POST", "auth/password", change);
+}
+
+export async function listUsers(): Promise<UserAccount[]> {
+  return await request<UserAccount[]>("GET", "users");
+}
+
+export async function addUser(account: NewUserAccount): Promise<UserAccount[]> {
+  return await request<UserAccount[]>("POST", "users", account);
+}
+
+export async function setUserRole(
+  name: string,
+  role: UserRole,
+): Promise<UserAccount[]> {
+  return await request<UserAccount[]>(
+    "PATCH",
+    `users/${encodeURIComponent(name)}`,
+    { role },
+  );
+}
+
+export async function deleteUser(name: string): Promise<UserAccount[]> {
+  return await request<UserAccount[]>(
+    "DELETE",
+    `users/${encodeURIComponent(name)}`,
+  );
+}
+
+function storeSession(session: AuthSession): AuthUser {
+  localStorage.setItem(TOKEN_STORAGE_KEY, session.token);
+  return session.user;
+}
+
+async function request<T>(
+  method: "GET" | "POST" | "PATCH" | "DELETE",
+  route: string,
+  body?: object,
+): Promise<T> {
+  const headers: Record<string, string> = {};
+  const token = getSessionToken();
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (body) {
+    headers["Content-Type"] = "application/json";
+  }
+
+  const response = await fetch(`/api/${route}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error ?? `Request failed (${response.status})`);
+  }
+  return response.status === 204 ? (undefined as T) : await response.json();
+}
@@ -1,11 +1,16 @@
 import { io, Socket } from "socket.io-client";
+import { getSessionToken } from "./auth";
 import {
+  CertificatePin,
   ClientToServerEvents,
   Config,
+  ConnectionPoolStats,
   FileInfo,
-  Log,
+  ListDirPage,
+  ListDirPageOptions,
   RegexDebugResult,
   ServerToClientEvents,
+  SyncPlan,
   WeebsyncPluginBaseInfo,
 } from "@shared/types";
 
@@ -13,7 +18,12 @@ export class Communication {
   public socket: Socket<ServerToClientEvents, ClientToServerEvents>;
 
   constructor() {
-    this.socket = io(__HOST__, { transports: ["websocket"] });
+    // Connected once logged in, requests made before are sent then.
+    this.socket = io(__HOST__, {
+      transports: ["websocket"],
+      autoConnect: false,
+      auth: (cb) => cb({ token: getSessionToken() }),
+    });
   }
 
   getVersion(cb: (version: string) => void) {
@@ -24,16 +34,25 @@ export class Communication {
     this.socket.emit("getLatestVersion", cb);
   }
 
-  getLogs(cb: (logs: Log[]) => void) {
-    this.socket.emit("getLogs", cb);
+  listDir(
+    serverId: string,
+    path: string,
+    cb: (path: string, result: FileInfo[]) => void,
+  ) {
+    this.socket.emit("listDir", serverId, path, cb);
   }
 
-  listDir(path: string, cb: (path: string, result: FileInfo[]) => void) {
-    this.socket.emit("listDir", path, cb);
+  listDirPage(
+    serverId: string,
+    path: string,
+    options: ListDirPageOptions,
+    cb: (page: ListDirPage | null) => void,
+  ) {
+    this.socket.emit("listDirPage", serverId, path, options, cb);
   }
 
-  checkDir(path: string, cb: (exists: boolean) => void) {
-    this.socket.emit("checkDir", path, cb);
+  checkDir(serverId: string, path: string, cb: (exists: boolean) => void) {
+    this.socket.emit("checkDir", serverId, path, cb);
   }
 
   listLocalDir(path: string, cb: (path: string, result: FileInfo[]) => void) {
@@ -48,10 +67,6 @@ export class Communication {
     this.socket.emit("config", config);
   }
 
-  getConfig(cb: (config: Config) => void) {
-    this.socket.emit("getConfig", cb);
-  }
-
   getPlugins(cb: (plugins: WeebsyncPluginBaseInfo[]) => void) {
     this.socket.emit("getPlugins", cb);
   }
@@ -63,10 +78,6 @@ export class Communication {
     this.socket.emit("sendPluginConfig", name, pluginConfig);
   }
 
-  getSyncSatus(cb: (syncStatus: boolean) => void) {
-    this.socket.emit("getSyncStatus", cb);
-  }
-
   sync() {
     this.socket.emit("sync");
   }
@@ -75,7 +86,24 @@ export class Communication {
     this.socket.emit("stopSync");
   }
 
+  getSyncPlan(cb: (plan: SyncPlan) => void) {
+    this.socket.emit("getSyncPlan", cb);
+  }
+
+  getCertificatePins(cb: (pins: CertificatePin[]) => void) {
+    this.socket.emit("getCertificatePins", cb);
+  }
+
+  getConnectionPoolStats(cb: (stats: ConnectionPoolStats[]) => void) {
+    this.socket.emit("getConnectionPoolStats", cb);
+  }
+
+  trustCertificate(server: string, fingerprint: string) {
+    this.socket.emit("trustCertificate", server, fingerprint);
+  }
+
   getRegexDebugInfo(
+    serverId: string,
     originFolder: string,
     fileRegex: string,
     fileRenameTemplate: string,
@@ -84,6 +112,7 @@ export class Communication {
   ) {
     this.socket.emit(
       "getRegexDebugInfo",
+      serverId,
       originFolder,
       fileRegex,
       fileRenameTemplate,
@@ -1,12 +1,16 @@
 import { defineStore } from "pinia";
 import {
+  AutoSyncScheduleEntry,
   BottomBarUpdateEvent,
+  CertificatePin,
   Config,
+  ConnectionPoolStats,
   Log,
   WeebsyncPluginBaseInfo,
 } from "@shared/types";
-import { reactive, ref } from "vue";
+import { computed, reactive, ref, watch } from "vue";
 import { useCommunication } from "./communication";
+import { isAdmin } from "./auth";
 
 export function createDefaultConfig(): Config {
   return {
@@ -14,12 +18,29 @@ export function createDefaultConfig(): Config {
     autoSyncIntervalInMinutes: 30,
     debugFileNames: false,
     startAsTray: false,
-    server: {
-      host: "",
-      password: "",
-      port: 21,
-      user: "",
+    maxConcurrentDownloads: 1,
+    bandwidth: {
+      totalMiBps: 0,
+      perTransferMiBps: 0,
+      schedules: [],
     },
+    connectionPool: {
+      maxConnections: 3,
+      keepaliveSeconds: 30,
+      idleTimeoutSeconds: 300,
+      acquireTimeoutSeconds: 120,
+    },
+    servers: [
+      {
+        id: "Server 1",
+        protocol: "ftp",
+        tls: "explicit",
+        host: "",
+        password: "",
+        port: 21,
+        user: "",
+      },
+    ],
     syncMaps: [],
   };
 }
@@ -38,33 +59,73 @@ export const useUiStore = defineStore("uiStore", () => {
     fileProgress: "",
     downloadSpeed: "",
   });
-  const autoSyncTimeRemaining = ref<string | null>(null);
+  const autoSyncSchedule = ref<AutoSyncScheduleEntry[]>([]);
+  const certificatePins = ref<CertificatePin[]>([]);
+  const connectionPoolStats = ref<ConnectionPoolStats[]>([]);
+  const now = ref(Date.now());
+  setInterval(() => {
+    now.value = Date.now();
+  }, 1000);
+
+  const nextAutoSync = computed(() =>
+    autoSyncSchedule.value.reduce<AutoSyncScheduleEntry | null>(
+      (next, entry) =>
+        next === null || Date.parse(entry.nextRun) < Date.parse(next.nextRun)
+          ? entry
+          : next,
+      null,
+    ),
+  );
+
+  const autoSyncTimeRemaining = computed(() =>
+    nextAutoSync.value
+      ? formatTimeRemaining(Date.parse(nextAutoSync.value.nextRun) - now.value)
+      : null,
+  );
 
   communication.getVersion((v) => {
     currentVersion.value = v;
   });
 
-  communication.getPlugins((pluginsFromServer) => {
-    plugins.splice(0, plugins.length);
-    plugins.push(...pluginsFromServer);
-  });
+  // Plugin settings are only for admins, who are known once logged in.
+  watch(
+    isAdmin,
+    (admin) => {
+      if (admin) {
+        communication.getPlugins((pluginsFromServer) => {
+          plugins.splice(0, plugins.length);
+          plugins.push(...pluginsFromServer);
+        });
+      }
+    },
+    { immediate: true },
+  );
 
   communication.getLatestVersion((v) => {
     latestVersion.value = v;
   });
 
-  communication.getLogs((logsFromServer) => {
-    logs.splice(0, logs.length);
-    logs.push(...logsFromServer);
-  });
+  const loadCertificatePins = () =>
+    communication.getCertificatePins((pinsFromServer) => {
+      certificatePins.value = pinsFromServer;
+    });
 
-  communication.getConfig((configFromServer) => {
-    config.value = configFromServer;
-    configLoaded.value = true;
-  });
+  const loadConnectionPoolStats = () =>
+    communication.getConnectionPoolStats((statsFromServer) => {
+      connectionPoolStats.value = statsFromServer;
+    });
 
-  communication.getSyncSatus((syncStatusFromServer) => {
-    isSyncing.value = syncStatusFromServer;
+  // Sent on every (re)connect, so nothing missed while offline is lost.
+  communication.socket.on("stateSnapshot", (snapshot) => {
+    logs.splice(0, logs.length);
+    logs.push(...snapshot.logs);
+    config.value = snapshot.config;
+    configLoaded.value = true;
+    isSyncing.value = snapshot.syncStatus;
+    bottomBar.value = snapshot.bottomBar;
+    autoSyncSchedule.value = snapshot.autoSyncSchedule;
+    certificatePins.value = snapshot.certificatePins;
+    connectionPoolStats.value = snapshot.connectionPoolStats;
   });
 
   communication.socket.on("log", (log) => {
@@ -73,6 +134,9 @@ export const useUiStore = defineStore("uiStore", () => {
 
   communication.socket.on("config", (configFromServer) => {
     config.value = configFromServer;
+    // Pins and pools belong to servers, which may have changed.
+    loadCertificatePins();
+    loadConnectionPoolStats();
   });
 
   communication.socket.on("updateBottomBar", (bottomBarEvent) => {
@@ -83,8 +147,19 @@ export const useUiStore = defineStore("uiStore", () => {
     isSyncing.value = isSyncingStatus;
   });
 
-  communication.socket.on("autoSyncTimer", (timeRemaining) => {
-    autoSyncTimeRemaining.value = timeRemaining;
+  communication.socket.on("autoSyncSchedule", (schedule) => {
+    autoSyncSchedule.value = schedule;
+  });
+
+  communication.socket.on("connectionPoolStats", (stats) => {
+    connectionPoolStats.value = stats;
+  });
+
+  communication.socket.on("certificatePin", (pin) => {
+    certificatePins.value = [
+      ...certificatePins.value.filter((p) => p.server !== pin.server),
+      pin,
+    ];
   });
 
   return {
@@ -96,6 +171,23 @@ export const useUiStore = defineStore("uiStore", () => {
     latestVersion,
     bottomBar,
     plugins,
+    autoSyncSchedule,
     autoSyncTimeRemaining,
+    certificatePins,
+    connectionPoolStats,
   };
 });
+
+function formatTimeRemaining(milliseconds: number): string {
+  const totalSeconds = Math.max(Math.floor(milliseconds / 1000), 0);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = (totalSeconds % 60).toString().padStart(2, "0");
+  if (hours >= 24) {
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, "0")}:${seconds}`;
+  }
+  return `${minutes}:${seconds}`;
+}
@@ -42,6 +42,9 @@ export default defineConfig(({ command }: ConfigEnv) => {
       port: 8080,
       host: true,
       open: false,
+      proxy: {
+        "/api": "http://localhost:42380",
+      },
     },
     preview: {
       port: 8080,
@@ -125,28 +125,34 @@ async function registerSocketHandlers(api) {
     api.communication.io.on('connection', (socket) => {
       logDebug(api, "New socket connection, registering listDirWithAnimeMetadata handler");
       
-      socket.on('listDirWithAnimeMetadata', async (path, cb) => {
-        logDebug(api, `listDirWithAnimeMetadata called with path: ${path}`);
+      // Sends one page of the listing like listDirPage, with the total number
+      // of entries so the viewer can load the rest.
+      socket.on('listDirWithAnimeMetadata', async (serverId, path, options, cb) => {
+        logDebug(api, `listDirWithAnimeMetadata called with server: ${serverId}, path: ${path}`);
+        // Everything listed for this request, also the episode scans below,
+        // has to come from the server picked in the viewer.
+        const serverApi = { ...api, listDir: (dirPath) => api.listDir(dirPath, serverId) };
         
         try {
-          // First get regular directory listing
-          const regularListing = await api.listDir(path);
-          
-          // Add full paths to directory items
-          if (regularListing) {
-            for (const item of regularListing) {
-              if (item.type === 2) { // Directory
-                item.path = `${path}/${item.name}`.replace(/\/+/g, '/'); // Normalize path
-              }
-            }
+          // First get the regular page of the listing
+          const page = await api.listDirPage(path, options, serverId);
+          if (!page) {
+            return cb(path, null);
           }
           
-          if (!regularListing || regularListing.length === 0) {
+          // Add full paths to directory items, without touching the cached listing
+          const regularListing = page.items.map((item) =>
+            item.type === 2 // Directory
+              ? { ...item, path: `${path}/${item.name}`.replace(/\/+/g, '/') } // Normalize path
+              : item
+          );
+          
+          if (regularListing.length === 0) {
             logDebug(api, `No files found in directory: ${path}`);
-            return cb(path, []);
+            return cb(path, [], page.total);
           }
           
-          logDebug(api, `Found ${regularListing.length} items in directory`);
+          logDebug(api, `Found ${regularListing.length} of ${page.total} items in directory`);
           
           // Check if this looks like a season directory or additional anime directory
           if (isSeasonDirectory(path)) {
@@ -163,24 +169,24 @@ async function registerSocketHandlers(api) {
             }
             
             // Process all items with version info
-            const quickEnhanced = await quickEnhanceWithVersionInfo(regularListing, api);
+            const quickEnhanced = await quickEnhanceWithVersionInfo(regularListing, serverApi);
             
             
-            cb(path, quickEnhanced);
+            cb(path, quickEnhanced, page.total);
             
             // Then enhance with metadata asynchronously
-            enhanceWithAnimeMetadataAsync(regularListing, path, api, socket).catch(error => {
+            enhanceWithAnimeMetadataAsync(regularListing, path, serverApi, socket).catch(error => {
               api.communication.logError(`Async enhancement failed: ${error.message}`);
             });
             
             // ALWAYS scan episodes separately after metadata (never cache episode counts)
-            scanEpisodesForAllItems(regularListing, path, api, socket).catch(error => {
+            scanEpisodesForAllItems(regularListing, path, serverApi, socket).catch(error => {
               api.communication.logError(`Episode scanning failed: ${error.message}`);
             });
           } else {
             logDebug(api, `Not a season or anime directory: ${path}`);
             // Return regular listing for non-season directories
-            cb(path, regularListing);
+            cb(path, regularListing, page.total);
           }
         } catch (error) {
           api.communication.logError(`Error in listDirWithAnimeMetadata: ${error.message}`);
@@ -162,6 +162,7 @@ const index = {
       key: "token",
       type: "text",
       default: "",
+      secret: true,
       enableWhen: { key: "authentication_method_direct", is: true },
     },
     {
@@ -180,6 +181,7 @@ const index = {
       key: "myplex_token",
       type: "text",
       default: "",
+      secret: true,
       enableWhen: { key: "authentication_method_direct", is: false },
     },
     { key: "home_user_sync", type: "boolean", default: false },
@@ -196,7 +198,7 @@ const index = {
       enableWhen: { key: "home_user_sync", is: true },
     },
     { label: "Anilist.co settings", type: "label" },
-    { key: "access_token", type: "text", default: "" },
+    { key: "access_token", type: "text", default: "", secret: true },
     { key: "plex_episode_count_priority", type: "boolean", default: false },
     { key: "skip_list_update", type: "boolean", default: false },
     { key: "username", type: "text", default: "" },
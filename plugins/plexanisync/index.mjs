@@ -156,6 +156,7 @@ export default {
       key: "token",
       type: "text",
       default: "",
+      secret: true,
       enableWhen: { key: "authentication_method_direct", is: true },
     },
     {
@@ -174,6 +175,7 @@ export default {
       key: "myplex_token",
       type: "text",
       default: "",
+      secret: true,
       enableWhen: { key: "authentication_method_direct", is: false },
     },
     { key: "home_user_sync", type: "boolean", default: false },
@@ -190,7 +192,7 @@ export default {
       enableWhen: { key: "home_user_sync", is: true },
     },
     { label: "Anilist.co settings", type: "label" },
-    { key: "access_token", type: "text", default: "" },
+    { key: "access_token", type: "text", default: "", secret: true },
     { key: "plex_episode_count_priority", type: "boolean", default: false },
     { key: "skip_list_update", type: "boolean", default: false },
     { key: "username", type: "text", default: "" },
@@ -50,6 +50,7 @@ const index = {
       key: "token",
       type: "text",
       default: "TOKEN",
+      secret: true,
     },
   ],
 };
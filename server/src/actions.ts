@@ -1,43 +1,138 @@
 import { match, P } from "ts-pattern";
-import { getFTPClient } from "./ftp";
+import { FileInfo as BasicFtpFileInfo } from "basic-ftp";
+import { getFTPClient, getFTPClientForServer } from "./ftp";
+import { getServerConfig } from "./config";
+import { CachedListing, listingCache } from "./listing-cache";
 import { ApplicationState } from "./index";
-import { RegexDebugResult, RegexMatch, FileInfo } from "@shared/types";
+import {
+  RegexDebugResult,
+  RegexMatch,
+  FileInfo,
+  ListDirPage,
+  ListDirPageOptions,
+  ListDirSortKey,
+} from "@shared/types";
 import Handlebars from "handlebars";
 import * as fs from "fs/promises";
 import * as path from "path";
 
 export async function listDir(
+  serverId: string,
   path: string,
   applicationState: ApplicationState,
 ) {
-  return await match(
-    await getFTPClient(applicationState.config, applicationState.communication),
-  )
-    .with({ type: "Ok", data: P.select() }, async (client) => {
-      try {
-        return await client.listDir(path);
-      } catch (err) {
-        applicationState.communication.logError(
-          `FTP Connection error: ${err}"`,
-        );
-        return undefined;
-      } finally {
-        client.free();
-      }
-    })
-    .with({ type: "ConnectionError", message: P.select() }, async (err) => {
-      applicationState.communication.logError(`FTP Connection error: ${err}"`);
-      return undefined;
-    })
+  return (await getCachedListing(serverId, path, false, applicationState))
+    ?.fileInfos;
+}
+
+export async function listDirPage(
+  serverId: string,
+  path: string,
+  options: ListDirPageOptions,
+  applicationState: ApplicationState,
+): Promise<ListDirPage | null> {
+  const listing = await getCachedListing(
+    serverId,
+    path,
+    options.refresh ?? false,
+    applicationState,
+  );
+  if (!listing) {
+    return null;
+  }
+
+  const filter = options.filter?.trim().toLowerCase();
+  const matching = filter
+    ? listing.fileInfos.filter((file) =>
+        file.name.toLowerCase().includes(filter),
+      )
+    : [...listing.fileInfos];
+  const direction = options.sortDesc ? -1 : 1;
+  matching.sort(
+    (a, b) =>
+      Number(b.isDirectory) - Number(a.isDirectory) ||
+      direction * compareFileInfos(a, b, options.sortBy ?? "name"),
+  );
+
+  return {
+    path,
+    items: matching.slice(options.offset, options.offset + options.limit),
+    total: matching.length,
+    offset: options.offset,
+    listedAt: listing.listedAt.toISOString(),
+  };
+}
+
+async function getCachedListing(
+  serverId: string,
+  path: string,
+  refresh: boolean,
+  applicationState: ApplicationState,
+): Promise<CachedListing | undefined> {
+  const { config, communication } = applicationState;
+  const server = getServerConfig(config, serverId);
+  if (!server) {
+    communication.logError(
+      `FTP Connection error: Server "${serverId}" is not configured.`,
+    );
+    return undefined;
+  }
+
+  try {
+    return await listingCache.get(
+      server,
+      path,
+      async () =>
+        await match(await getFTPClient(config, server, communication))
+          .with({ type: "Ok", data: P.select() }, async (client) => {
+            try {
+              return await client.listDir(path);
+            } finally {
+              client.free();
+            }
+          })
+          .with({ type: "ConnectionError", message: P.select() }, (err) => {
+            throw new Error(err);
+          })
+          .exhaustive(),
+      refresh,
+    );
+  } catch (err) {
+    communication.logError(
+      `FTP Connection error: ${err instanceof Error ? err.message : err}`,
+    );
+    return undefined;
+  }
+}
+
+function compareFileInfos(
+  a: BasicFtpFileInfo,
+  b: BasicFtpFileInfo,
+  sortBy: ListDirSortKey,
+): number {
+  const byKey = match(sortBy)
+    .with("size", () => a.size - b.size)
+    .with(
+      "modifiedAt",
+      () => (a.modifiedAt?.getTime() ?? 0) - (b.modifiedAt?.getTime() ?? 0),
+    )
+    .with("name", () => 0)
     .exhaustive();
+  // Ties, and plain name sorting, go by name with "Episode 2" before "10".
+  return byKey || a.name.localeCompare(b.name, undefined, { numeric: true });
 }
 
 export async function checkDir(
+  serverId: string,
   path: string,
   applicationState: ApplicationState,
 ) {
   return await match(
-    await getFTPClient(applicationState.config, applicationState.communication),
+    await getFTPClientForServer(
+      applicationState.config,
+      serverId,
+      applicationState.communication,
+    ),
   )
     .with({ type: "Ok", data: P.select() }, async (client) => {
       try {
@@ -58,6 +153,7 @@ export async function checkDir(
 }
 
 export async function getRegexDebugInfo(
+  serverId: string,
   originFolder: string,
   fileRegex: string,
   fileRenameTemplate: string,
@@ -66,8 +162,9 @@ export async function getRegexDebugInfo(
 ): Promise<RegexDebugResult> {
   try {
     const fileList = await match(
-      await getFTPClient(
+      await getFTPClientForServer(
         applicationState.config,
+        serverId,
         applicationState.communication,
       ),
     )
@@ -126,8 +223,10 @@ export async function getRegexDebugInfo(
 
         // Generate renamed file name using the template
         if (fileRenameTemplate) {
+          // Test file names have no folder, so $relDir stays empty here.
           const templateData: { [key: string]: string } = {
             $syncName: syncName,
+            $relDir: "",
           };
           for (let i = 0; i < match.length; i++) {
             templateData["$" + i] = match[i];
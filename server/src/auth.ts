@@ -0,0 +1,524 @@
+import fs from "fs";
+import crypto from "crypto";
+import { FastifyInstance, FastifyReply, FastifyRequest } from "fastify";
+import { Server } from "socket.io";
+import Joi from "joi";
+import {
+  AuthSession,
+  AuthStatus,
+  AuthUser,
+  Credentials,
+  NewUserAccount,
+  PasswordChange,
+  UserAccount,
+  UserRole,
+} from "@shared/types";
+import { CONFIG_FILE_DIR } from "./config";
+import {
+  changePasswordSchema,
+  loginSchema,
+  newUserSchema,
+  setupSchema,
+  userRoleSchema,
+  validateInput,
+} from "./validation";
+
+const USERS_FILE_PATH = `${CONFIG_FILE_DIR}/weebsync.users.json`;
+const USERS_FILE_VERSION = 2;
+const SESSION_LIFETIME = 1000 * 60 * 60 * 24 * 30;
+const FAILED_LOGIN_DELAY = 1000;
+
+const SCRYPT_COST = 16384;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+const SCRYPT_KEY_LENGTH = 64;
+// Checked against for unknown users, never matches.
+const DUMMY_PASSWORD_HASH = [
+  "scrypt",
+  SCRYPT_COST,
+  SCRYPT_BLOCK_SIZE,
+  SCRYPT_PARALLELIZATION,
+  Buffer.alloc(16).toString("base64"),
+  Buffer.alloc(SCRYPT_KEY_LENGTH).toString("base64"),
+].join("$");
+
+export const UNAUTHORIZED = "Unauthorized";
+export const FORBIDDEN = "Forbidden";
+
+interface StoredUser {
+  name: string;
+  role: UserRole;
+  passwordHash: string;
+  createdAt: string;
+}
+
+interface StoredSession {
+  user: string;
+  createdAt: string;
+  expiresAt: string;
+}
+
+interface UsersFile {
+  version: number;
+  users: { [name: string]: StoredUser };
+  // Keyed by the SHA-256 of the token, the token itself is never stored.
+  sessions: { [tokenHash: string]: StoredSession };
+}
+
+/**
+ * Accounts of the web UI and their login sessions, kept next to the config.
+ */
+export class UserStore {
+  private _file: UsersFile | null = null;
+
+  constructor(private readonly _filePath: string = USERS_FILE_PATH) {}
+
+  hasUsers(): boolean {
+    return Object.keys(this._load().users).length > 0;
+  }
+
+  listUsers(): UserAccount[] {
+    return Object.values(this._load().users).map(
+      ({ name, role, createdAt }) => ({ name, role, createdAt }),
+    );
+  }
+
+  /**
+   * Creates the first account, an admin. Returns false if there already is
+   * one.
+   */
+  async createFirstUser(name: string, password: string): Promise<boolean> {
+    const passwordHash = await hashPassword(password);
+    // Checked after hashing, another setup may have finished meanwhile.
+    if (this.hasUsers()) {
+      return false;
+    }
+    this._insertUser(name, "admin", passwordHash);
+    return true;
+  }
+
+  async addUser(name: string, password: string, role: UserRole) {
+    const passwordHash = await hashPassword(password);
+    if (this._load().users[name]) {
+      throw new Error(`User "${name}" already exists.`);
+    }
+    this._insertUser(name, role, passwordHash);
+  }
+
+  setRole(name: string, role: UserRole): void {
+    const user = this._getUser(name);
+    if (user.role === "admin" && role !== "admin") {
+      this._ensureOtherAdmin(name);
+    }
+    user.role = role;
+    this._save();
+  }
+
+  deleteUser(name: string): void {
+    if (this._getUser(name).role === "admin") {
+      this._ensureOtherAdmin(name);
+    }
+    const file = this._load();
+    delete file.users[name];
+    for (const [tokenHash, session] of Object.entries(file.sessions)) {
+      if (session.user === name) {
+        delete file.sessions[tokenHash];
+      }
+    }
+    this._save();
+  }
+
+  async checkPassword(name: string, password: string): Promise<boolean> {
+    const user = this._load().users[name];
+    // Hash anyway, so unknown users take as long as wrong passwords.
+    const matches = await verifyPassword(
+      password,
+      user?.passwordHash ?? DUMMY_PASSWORD_HASH,
+    );
+    return user !== undefined && matches;
+  }
+
+  async setPassword(name: string, password: string): Promise<void> {
+    const user = this._getUser(name);
+    user.passwordHash = await hashPassword(password);
+    this._save();
+  }
+
+  createSession(user: string): string {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const now = Date.now();
+    this._load().sessions[hashToken(token)] = {
+      user,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_LIFETIME).toISOString(),
+    };
+    this._save();
+    return token;
+  }
+
+  /**
+   * Returns the user the token belongs to, if it's a valid session. The role
+   * is the current one, so changes apply to open sessions right away.
+   */
+  getSessionUser(token: unknown): AuthUser | undefined {
+    if (typeof token !== "string" || token.length === 0) {
+      return undefined;
+    }
+    const file = this._load();
+    const session = file.sessions[hashToken(token)];
+    const user = session && file.users[session.user];
+    if (!user || Date.parse(session.expiresAt) < Date.now()) {
+      return undefined;
+    }
+    return { name: user.name, role: user.role };
+  }
+
+  revokeSession(token: string): void {
+    delete this._load().sessions[hashToken(token)];
+    this._save();
+  }
+
+  revokeOtherSessions(user: string, keepToken: string): void {
+    const sessions = this._load().sessions;
+    const keep = hashToken(keepToken);
+    for (const [tokenHash, session] of Object.entries(sessions)) {
+      if (session.user === user && tokenHash !== keep) {
+        delete sessions[tokenHash];
+      }
+    }
+    this._save();
+  }
+
+  private _insertUser(name: string, role: UserRole, passwordHash: string) {
+    this._load().users[name] = {
+      name,
+      role,
+      passwordHash,
+      createdAt: new Date().toISOString(),
+    };
+    this._save();
+  }
+
+  private _getUser(name: string): StoredUser {
+    const user = this._load().users[name];
+    if (!user) {
+      throw new Error(`User "${name}" does not exist.`);
+    }
+    return user;
+  }
+
+  private _ensureOtherAdmin(name: string): void {
+    const admins = Object.values(this._load().users).filter(
+      (user) => user.role === "admin" && user.name !== name,
+    );
+    if (admins.length === 0) {
+      throw new Error("There has to be at least one admin.");
+    }
+  }
+
+  private _load(): UsersFile {
+    if (this._file) {
+      return this._file;
+    }
+
+    this._file = { version: USERS_FILE_VERSION, users: {}, sessions: {} };
+    if (fs.existsSync(this._filePath)) {
+      // A broken file must not silently open up the UI, so let it throw.
+      const file = JSON.parse(
+        fs.readFileSync(this._filePath, "utf-8"),
+      ) as UsersFile;
+      this._file.users = file.users ?? {};
+      this._file.sessions = file.sessions ?? {};
+      // Accounts from before roles existed were all admins.
+      for (const user of Object.values(this._file.users)) {
+        user.role ??= "admin";
+      }
+    }
+    return this._file;
+  }
+
+  private _save(): void {
+    const file = this._load();
+    const now = Date.now();
+    for (const [tokenHash, session] of Object.entries(file.sessions)) {
+      if (Date.parse(session.expiresAt) < now) {
+        delete file.sessions[tokenHash];
+      }
+    }
+    const tmpPath = `${this._filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(file, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this._filePath);
+  }
+}
+
+export const userStore = new UserStore();
+
+/**
+ * Creates the account from `WEEB_SYNC_USER` and `WEEB_SYNC_PASSWORD` if
+ * there is none yet. Without them the first visitor of the UI sets it up.
+ */
+export async function createInitialUser(
+  users: UserStore = userStore,
+): Promise<void> {
+  const name = process.env.WEEB_SYNC_USER;
+  const password = process.env.WEEB_SYNC_PASSWORD;
+  if (users.hasUsers() || !name || !password) {
+    return;
+  }
+  const validation = validateInput(setupSchema, { user: name, password });
+  if (!validation.isValid) {
+    throw new Error(`Can't create the initial user: ${validation.error}`);
+  }
+  await users.createFirstUser(name, password);
+}
+
+/**
+ * Only sockets with a valid session token in their handshake may connect.
+ */
+export function authenticateSockets(
+  io: Server,
+  users: UserStore = userStore,
+): void {
+  io.use((socket, next) => {
+    const token = socket.handshake.auth?.token;
+    const user = users.getSessionUser(token);
+    if (!user) {
+      next(new Error(UNAUTHORIZED));
+      return;
+    }
+    socket.data.token = token;
+    socket.data.role = user.role;
+    next();
+  });
+}
+
+/**
+ * Login, logout, password change and user management. All `/api/` routes
+ * other than login and setup require a session token as
+ * `Authorization: Bearer <token>`, the `/api/users` routes an admin's.
+ */
+export function registerAuthRoutes(
+  server: FastifyInstance,
+  users: UserStore = userStore,
+): void {
+  const publicRoutes = [
+    "/api/auth/status",
+    "/api/auth/setup",
+    "/api/auth/login",
+  ];
+  server.addHook("onRequest", async (request, reply) => {
+    const url = request.url.split("?")[0];
+    if (!url.startsWith("/api/") || publicRoutes.includes(url)) {
+      return;
+    }
+    const user = users.getSessionUser(getBearerToken(request));
+    if (!user) {
+      return reply.code(401).send({ error: UNAUTHORIZED });
+    }
+    if (url.startsWith("/api/users") && user.role !== "admin") {
+      return reply.code(403).send({ error: FORBIDDEN });
+    }
+  });
+
+  server.get("/api/auth/status", async (request): Promise<AuthStatus> => {
+    return {
+      setupRequired: !users.hasUsers(),
+      user: users.getSessionUser(getBearerToken(request)) ?? null,
+    };
+  });
+
+  server.post("/api/auth/setup", async (request, reply) => {
+    const credentials = parseBody<Credentials>(setupSchema, request, reply);
+    if (!credentials) {
+      return reply;
+    }
+    if (
+      !(await users.createFirstUser(credentials.user, credentials.password))
+    ) {
+      return reply.code(409).send({ error: "An account already exists." });
+    }
+    return createSession(users, credentials.user);
+  });
+
+  server.post("/api/auth/login", async (request, reply) => {
+    const credentials = parseBody<Credentials>(loginSchema, request, reply);
+    if (!credentials) {
+      return reply;
+    }
+    if (!(await users.checkPassword(credentials.user, credentials.password))) {
+      await new Promise((resolve) => setTimeout(resolve, FAILED_LOGIN_DELAY));
+      return reply.code(401).send({ error: "Wrong user name or password." });
+    }
+    return createSession(users, credentials.user);
+  });
+
+  server.post("/api/auth/logout", async (request, reply) => {
+    users.revokeSession(getBearerToken(request)!);
+    disconnectRevokedSockets(server.io, users);
+    return reply.code(204).send();
+  });
+
+  server.post("/api/auth/password", async (request, reply) => {
+    const change = parseBody<PasswordChange>(
+      changePasswordSchema,
+      request,
+      reply,
+    );
+    if (!change) {
+      return reply;
+    }
+    const token = getBearerToken(request)!;
+    const { name } = users.getSessionUser(token)!;
+    if (!(await users.checkPassword(name, change.currentPassword))) {
+      await new Promise((resolve) => setTimeout(resolve, FAILED_LOGIN_DELAY));
+      return reply.code(403).send({ error: "The current password is wrong." });
+    }
+    await users.setPassword(name, change.newPassword);
+    // Anyone who might know the old password is logged out.
+    users.revokeOtherSessions(name, token);
+    disconnectRevokedSockets(server.io, users);
+    return reply.code(204).send();
+  });
+
+  server.get("/api/users", async (): Promise<UserAccount[]> => {
+    return users.listUsers();
+  });
+
+  server.post("/api/users", async (request, reply) => {
+    const account = parseBody<NewUserAccount>(newUserSchema, request, reply);
+    if (!account) {
+      return reply;
+    }
+    return await changeUsers(reply, async () => {
+      await users.addUser(account.user, account.password, account.role);
+    });
+  });
+
+  server.patch("/api/users/:name", async (request, reply) => {
+    const update = parseBody<{ role: UserRole }>(
+      userRoleSchema,
+      request,
+      reply,
+    );
+    if (!update) {
+      return reply;
+    }
+    const { name } = request.params as { name: string };
+    return await changeUsers(reply, () => users.setRole(name, update.role));
+  });
+
+  server.delete("/api/users/:name", async (request, reply) => {
+    const { name } = request.params as { name: string };
+    if (users.getSessionUser(getBearerToken(request))?.name === name) {
+      return reply
+        .code(409)
+        .send({ error: "You can't delete your own account." });
+    }
+    return await changeUsers(reply, () => users.deleteUser(name));
+  });
+
+  async function changeUsers(
+    reply: FastifyReply,
+    change: () => Promise<void> | void,
+  ) {
+    try {
+      await change();
+    } catch (e) {
+      return reply
+        .code(409)
+        .send({ error: e instanceof Error ? e.message : String(e) });
+    }
+    // Open UIs of changed users start over with their new role.
+    disconnectRevokedSockets(server.io, users);
+    return users.listUsers();
+  }
+}
+
+function createSession(users: UserStore, name: string): AuthSession {
+  const token = users.createSession(name);
+  return { token, user: users.getSessionUser(token)! };
+}
+
+function disconnectRevokedSockets(io: Server, users: UserStore): void {
+  for (const socket of io.sockets.sockets.values()) {
+    const user = users.getSessionUser(socket.data.token);
+    if (!user || user.role !== socket.data.role) {
+      socket.disconnect(true);
+    }
+  }
+}
+
+function getBearerToken(request: FastifyRequest): string | undefined {
+  const header = request.headers.authorization;
+  return header?.startsWith("Bearer ") ? header.slice(7) : undefined;
+}
+
+function parseBody<T>(
+  schema: Joi.Schema<T>,
+  request: FastifyRequest,
+  reply: FastifyReply,
+): T | undefined {
+  const validation = validateInput(schema, request.body);
+  if (!validation.isValid) {
+    reply.code(400).send({ error: validation.error });
+    return undefined;
+  }
+  return validation.value;
+}
+
+function hashToken(token: string): string {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Stores the scrypt parameters with the hash, so they can be raised later
+ * without breaking existing passwords.
+ */
+export async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, {
+    N: SCRYPT_COST,
+    r: SCRYPT_BLOCK_SIZE,
+    p: SCRYPT_PARALLELIZATION,
+  });
+  return [
+    "scrypt",
+    SCRYPT_COST,
+    SCRYPT_BLOCK_SIZE,
+    SCRYPT_PARALLELIZATION,
+    salt.toString("base64"),
+    hash.toString("base64"),
+  ].join("$");
+}
+
+export async function verifyPassword(
+  password: string,
+  passwordHash: string,
+): Promise<boolean> {
+  const [algorithm, N, r, p, salt, hash] = passwordHash.split("$");
+  if (algorithm !== "scrypt" || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+function scrypt(
+  password: string,
+  salt: Buffer,
+  options: crypto.ScryptOptions,
+): Promise<Buffer> {
+  return new Promise((resolve, reject) =>
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, options, (err, key) =>
+      err ? reject(err) : resolve(key),
+    ),
+  );
+}
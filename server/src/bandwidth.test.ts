@@ -0,0 +1,52 @@
+// Simple tests to ensure the right bandwidth limit is active at a given time
+import { Config } from "@shared/types";
+import { getActiveBandwidthLimit } from "./bandwidth";
+
+const config: Config = {
+  bandwidth: {
+    totalMiBps: 10,
+    perTransferMiBps: 0,
+    schedules: [
+      // Crosses midnight.
+      { from: "22:00", to: "06:00", totalMiBps: 0, perTransferMiBps: 0 },
+      // Overlaps with the evening schedule below, the first one wins.
+      { from: "17:00", to: "20:00", totalMiBps: 2, perTransferMiBps: 1 },
+      { from: "18:00", to: "23:00", totalMiBps: 5, perTransferMiBps: 0 },
+    ],
+  },
+  servers: [],
+  syncMaps: [],
+};
+
+function check(description: string, now: Date, expectedTotalMiBps: number) {
+  const limit = getActiveBandwidthLimit(config, now);
+  console.log(
+    `${description}:`,
+    limit.totalMiBps === expectedTotalMiBps
+      ? "✅ PASSED"
+      : `❌ FAILED: expected ${expectedTotalMiBps} MiB/s, got ${limit.totalMiBps} MiB/s`,
+  );
+}
+
+console.log("Testing bandwidth schedules...");
+
+check("Default limit", new Date(2025, 9, 15, 12, 0), 10);
+check(
+  "Before midnight in a window crossing it",
+  new Date(2025, 9, 15, 23, 30),
+  0,
+);
+check(
+  "After midnight in a window crossing it",
+  new Date(2025, 9, 16, 5, 59),
+  0,
+);
+check("End of a window crossing midnight", new Date(2025, 9, 16, 6, 0), 10);
+check("Start of a window", new Date(2025, 9, 15, 17, 0), 2);
+check("Overlap uses the first window", new Date(2025, 9, 15, 19, 0), 2);
+check("After the first overlapping window", new Date(2025, 9, 15, 20, 0), 5);
+check(
+  "Overlap with a window crossing midnight",
+  new Date(2025, 9, 15, 22, 30),
+  0,
+);
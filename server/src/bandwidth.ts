@@ -0,0 +1,110 @@
+import { Transform, TransformCallback } from "stream";
+import { BandwidthLimit, Config } from "@shared/types";
+
+const BYTES_PER_MEBIBYTE = 1024 * 1024;
+
+export function createDefaultBandwidthConfig(): NonNullable<
+  Config["bandwidth"]
+> {
+  return {
+    totalMiBps: 0,
+    perTransferMiBps: 0,
+    schedules: [],
+  };
+}
+
+function parseTimeOfDay(time: string): number {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Returns the limit of the first schedule covering the given time, or the
+ * default limit if there is none. Schedules may wrap around midnight
+ * (e.g. 22:00 - 06:00).
+ */
+export function getActiveBandwidthLimit(
+  config: Config,
+  now: Date = new Date(),
+): BandwidthLimit {
+  const bandwidth = config.bandwidth ?? createDefaultBandwidthConfig();
+  const minuteOfDay = now.getHours() * 60 + now.getMinutes();
+
+  for (const schedule of bandwidth.schedules) {
+    const from = parseTimeOfDay(schedule.from);
+    const to = parseTimeOfDay(schedule.to);
+    const active =
+      from <= to
+        ? minuteOfDay >= from && minuteOfDay < to
+        : minuteOfDay >= from || minuteOfDay < to;
+    if (active) {
+      return schedule;
+    }
+  }
+
+  return bandwidth;
+}
+
+/**
+ * Token bucket that allows at most one second of burst. Taking more tokens
+ * than available puts the bucket into debt, the returned delay is how long
+ * the caller has to wait until that debt is paid off.
+ */
+class TokenBucket {
+  private _tokens = 0;
+  private _lastRefill = Date.now();
+
+  take(bytes: number, bytesPerSecond: number): number {
+    const now = Date.now();
+    if (bytesPerSecond <= 0) {
+      this._tokens = 0;
+      this._lastRefill = now;
+      return 0;
+    }
+
+    const elapsedSeconds = (now - this._lastRefill) / 1000;
+    this._tokens = Math.min(
+      this._tokens + elapsedSeconds * bytesPerSecond,
+      bytesPerSecond,
+    );
+    this._lastRefill = now;
+    this._tokens -= bytes;
+
+    return this._tokens >= 0 ? 0 : (-this._tokens / bytesPerSecond) * 1000;
+  }
+}
+
+// Shared by all transfers so the total limit is respected by parallel downloads.
+const totalBucket = new TokenBucket();
+
+/**
+ * Creates a pass-through stream that delays chunks according to the
+ * bandwidth limits active at the time each chunk arrives, so schedule and
+ * config changes apply to running transfers as well.
+ */
+export function createBandwidthThrottle(getConfig: () => Config): Transform {
+  const transferBucket = new TokenBucket();
+
+  return new Transform({
+    transform(
+      chunk: Buffer,
+      _encoding: BufferEncoding,
+      callback: TransformCallback,
+    ) {
+      const limit = getActiveBandwidthLimit(getConfig());
+      const delay = Math.max(
+        totalBucket.take(chunk.length, limit.totalMiBps * BYTES_PER_MEBIBYTE),
+        transferBucket.take(
+          chunk.length,
+          limit.perTransferMiBps * BYTES_PER_MEBIBYTE,
+        ),
+      );
+
+      if (delay <= 0) {
+        callback(null, chunk);
+      } else {
+        setTimeout(() => callback(null, chunk), delay);
+      }
+    },
+  });
+}
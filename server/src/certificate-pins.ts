@@ -0,0 +1,99 @@
+import fs from "fs";
+import { SimpleEventDispatcher } from "strongly-typed-events";
+import { CertificatePin } from "@shared/types";
+import { CONFIG_FILE_DIR } from "./config";
+
+const PINS_FILE_PATH = `${CONFIG_FILE_DIR}/weebsync.certificates.json`;
+const PINS_FILE_VERSION = 1;
+
+interface CertificatePinsFile {
+  version: number;
+  pins: { [server: string]: CertificatePin };
+}
+
+export type CertificateCheckResult =
+  | { type: "Pinned" }
+  | { type: "Match" }
+  | { type: "Mismatch"; expected: string };
+
+/**
+ * Trust-on-first-use store of server certificate fingerprints. The first
+ * certificate seen for a server is pinned, later connections have to present
+ * the same one until the user explicitly trusts a new certificate.
+ */
+export class CertificatePinStore {
+  private _pins: { [server: string]: CertificatePin } | null = null;
+  readonly changed = new SimpleEventDispatcher<CertificatePin>();
+
+  constructor(private readonly _filePath: string = PINS_FILE_PATH) {}
+
+  get(server: string): CertificatePin | undefined {
+    return this._load()[server];
+  }
+
+  check(server: string, fingerprint: string): CertificateCheckResult {
+    const pin = this.get(server);
+    if (!pin) {
+      this.trust(server, fingerprint);
+      return { type: "Pinned" };
+    }
+    if (pin.fingerprint === fingerprint) {
+      return { type: "Match" };
+    }
+
+    if (pin.rejectedFingerprint !== fingerprint) {
+      this._update({
+        ...pin,
+        rejectedFingerprint: fingerprint,
+        rejectedAt: new Date().toISOString(),
+      });
+    }
+    return { type: "Mismatch", expected: pin.fingerprint };
+  }
+
+  trust(server: string, fingerprint: string): void {
+    this._update({
+      server,
+      fingerprint,
+      pinnedAt: new Date().toISOString(),
+    });
+  }
+
+  private _update(pin: CertificatePin): void {
+    this._load()[pin.server] = pin;
+    this._save();
+    this.changed.dispatch(pin);
+  }
+
+  private _load(): { [server: string]: CertificatePin } {
+    if (this._pins) {
+      return this._pins;
+    }
+
+    this._pins = {};
+    if (fs.existsSync(this._filePath)) {
+      // A broken file must not silently disable pinning, so let it throw.
+      const file = JSON.parse(
+        fs.readFileSync(this._filePath, "utf-8"),
+      ) as CertificatePinsFile;
+      this._pins = file.pins ?? {};
+    }
+    return this._pins;
+  }
+
+  private _save(): void {
+    const file: CertificatePinsFile = {
+      version: PINS_FILE_VERSION,
+      pins: this._load(),
+    };
+    const tmpPath = `${this._filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(file, null, 2));
+    fs.renameSync(tmpPath, this._filePath);
+  }
+}
+
+export const certificatePins = new CertificatePinStore();
+
+export function getCertificatePinKey(host: string, port: number): string {
+  return `${host}:${port}`;
+}
@@ -1,7 +1,10 @@
 import {
+  AutoSyncScheduleEntry,
   BottomBarUpdateEvent,
+  CertificatePin,
   ClientToServerEvents,
   Config,
+  ConnectionPoolStats,
   InterServerEvents,
   Log,
   ServerToClientEvents,
@@ -11,14 +14,26 @@ import { RingBuffer } from "./ring-buffer";
 import { FastifyInstance } from "fastify";
 import { match } from "ts-pattern";
 import { SimpleEventDispatcher } from "strongly-typed-events";
+import { redactConfig } from "./secrets";
 
+type ClientSocket = Socket<
+  ClientToServerEvents,
+  ServerToClientEvents,
+  InterServerEvents
+>;
+
+/**
+ * Events are sent to every connected client, so all open tabs and devices
+ * stay up to date.
+ */
 export class Communication {
-  private _socket:
-    | Socket<ClientToServerEvents, ServerToClientEvents, InterServerEvents>
-    | undefined;
+  private _bottomBar: BottomBarUpdateEvent = {
+    fileProgress: "",
+    downloadSpeed: "",
+  };
 
   logs = new RingBuffer<Log>();
-  connect = new SimpleEventDispatcher<typeof this._socket>();
+  connect = new SimpleEventDispatcher<ClientSocket>();
 
   constructor(
     public io: Server<
@@ -29,36 +44,49 @@ export class Communication {
     private readonly _logger: FastifyInstance["log"],
   ) {
     io.on("connect", (socket) => {
-      this._socket = socket;
-      this._socket.on("disconnect", () => {
-        delete this._socket;
-      });
       this.connect.dispatch(socket);
     });
   }
 
+  /** The last update, for clients that connect during a sync. */
+  get bottomBar(): BottomBarUpdateEvent {
+    return this._bottomBar;
+  }
+
   sendSyncStatus(status: boolean) {
-    if (this._socket) {
-      this._socket.emit("syncStatus", status);
-    }
+    this.io.emit("syncStatus", status);
   }
 
   updateBottomBar(updateBottomBarEvent: BottomBarUpdateEvent) {
-    if (this._socket) {
-      this._socket.emit("updateBottomBar", updateBottomBarEvent);
-    }
+    this._bottomBar = updateBottomBarEvent;
+    this.io.emit("updateBottomBar", updateBottomBarEvent);
   }
 
   sendConfig(config: Config) {
-    if (this._socket) {
-      this._socket.emit("config", config);
-    }
+    this.io.emit("config", redactConfig(config));
+  }
+
+  sendAutoSyncSchedule(schedule: AutoSyncScheduleEntry[]) {
+    this.io.emit("autoSyncSchedule", schedule);
+  }
+
+  sendCertificatePin(pin: CertificatePin) {
+    this.io.emit("certificatePin", pin);
+  }
+
+  sendConnectionPoolStats(stats: ConnectionPoolStats[]) {
+    this.io.emit("connectionPoolStats", stats);
   }
 
-  sendAutoSyncTimer(timeRemaining: string | null) {
-    if (this._socket) {
-      this._socket.emit("autoSyncTimer", timeRemaining);
-    }
+  /** Warns only the given client, the shared log is left alone. */
+  warnSocket(socket: ClientSocket, content: string) {
+    const log: Log = {
+      content,
+      severity: "warn",
+      date: new Date().toISOString(),
+    };
+    this._logger.warn(log);
+    socket.emit("log", log);
   }
 
   logInfo(content: string) {
@@ -86,8 +114,6 @@ export class Communication {
       .with("error", () => this._logger.error(log))
       .with("warn", () => this._logger.warn(log))
       .exhaustive();
-    if (this._socket) {
-      this._socket.emit("log", log);
-    }
+    this.io.emit("log", log);
   }
 }
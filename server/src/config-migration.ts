@@ -89,6 +89,72 @@ function ensureSyncMapStructure(config: any): void {
   }
 }
 
+function ensureBandwidthConfig(config: any): void {
+  if (!config.bandwidth || typeof config.bandwidth !== "object") {
+    config.bandwidth = {};
+  }
+  config.bandwidth.totalMiBps ??= 0;
+  config.bandwidth.perTransferMiBps ??= 0;
+  if (!Array.isArray(config.bandwidth.schedules)) {
+    config.bandwidth.schedules = [];
+  }
+}
+
+function ensureServerProtocol(config: any): void {
+  if (config.server.protocol !== "sftp") {
+    config.server.protocol = "ftp";
+  }
+}
+
+function ensureServerTlsMode(config: any): void {
+  if (!["none", "explicit", "implicit"].includes(config.server.tls)) {
+    config.server.tls = "explicit";
+  }
+}
+
+function convertServerToProfiles(config: any): void {
+  if (!Array.isArray(config.servers)) {
+    config.servers = config.server
+      ? [{ id: config.server.host || "Server 1", ...config.server }]
+      : [];
+  }
+  delete config.server;
+
+  const defaultServerId = config.servers[0]?.id;
+  for (const syncMap of config.syncMaps ?? []) {
+    if (syncMap.serverId === undefined && defaultServerId !== undefined) {
+      syncMap.serverId = defaultServerId;
+    }
+  }
+}
+
+function ensureConnectionPoolConfig(config: any): void {
+  if (!config.connectionPool || typeof config.connectionPool !== "object") {
+    config.connectionPool = {};
+  }
+  // Three connections per server were hardcoded before.
+  config.connectionPool.maxConnections ??= 3;
+  config.connectionPool.keepaliveSeconds ??= 30;
+  config.connectionPool.idleTimeoutSeconds ??= 300;
+  config.connectionPool.acquireTimeoutSeconds ??= 120;
+}
+
+// Secrets may be objects now (see secrets.ts), anything else that isn't a
+// string is dropped.
+function ensureSecretFields(config: any): void {
+  const isSecret = (value: unknown) =>
+    typeof value === "string" ||
+    (typeof value === "object" && value !== null && !Array.isArray(value));
+  for (const server of config.servers ?? []) {
+    if (!isSecret(server.password)) {
+      server.password = "";
+    }
+    if (server.proxy && !isSecret(server.proxy.password)) {
+      server.proxy.password = "";
+    }
+  }
+}
+
 const migrations: ConfigMigration[] = [
   {
     version: 1,
@@ -103,6 +169,54 @@ const migrations: ConfigMigration[] = [
       return config;
     },
   },
+  {
+    version: 2,
+    description: "Add bandwidth limits and time-of-day schedules",
+    migrate: (config: any) => {
+      ensureBandwidthConfig(config);
+      return config;
+    },
+  },
+  {
+    version: 3,
+    description: "Add SFTP as an alternative to FTP",
+    migrate: (config: any) => {
+      ensureServerProtocol(config);
+      return config;
+    },
+  },
+  {
+    version: 4,
+    description: "Add FTP TLS modes and certificate pinning",
+    migrate: (config: any) => {
+      ensureServerTlsMode(config);
+      return config;
+    },
+  },
+  {
+    version: 5,
+    description: "Turn the server into the first of multiple server profiles",
+    migrate: (config: any) => {
+      convertServerToProfiles(config);
+      return config;
+    },
+  },
+  {
+    version: 6,
+    description: "Add connection pool settings",
+    migrate: (config: any) => {
+      ensureConnectionPoolConfig(config);
+      return config;
+    },
+  },
+  {
+    version: 7,
+    description: "Allow encrypted secrets and env or file references",
+    migrate: (config: any) => {
+      ensureSecretFields(config);
+      return config;
+    },
+  },
 ];
 
 export function migrateConfig(config: any, communication?: Communication): any {
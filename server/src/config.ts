@@ -1,12 +1,19 @@
 import fs from "fs";
 import { match, P } from "ts-pattern";
 import chokidar from "chokidar";
-import { Config } from "@shared/types";
+import {
+  Config,
+  ConnectionPoolSettings,
+  ServerConfig,
+  SyncMap,
+} from "@shared/types";
 import { ApplicationState } from "./index";
 import { Communication } from "./communication";
 import process from "process";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
+import { createDefaultBandwidthConfig } from "./bandwidth";
+import { resolveConfigSecrets, storeConfigSecrets } from "./secrets";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -58,16 +65,53 @@ export function createDefaultConfig(): Config {
     autoSyncIntervalInMinutes: 30,
     debugFileNames: false,
     startAsTray: false,
-    server: {
-      host: "",
-      password: "",
-      port: 21,
-      user: "",
-    },
+    maxConcurrentDownloads: 1,
+    bandwidth: createDefaultBandwidthConfig(),
+    connectionPool: createDefaultConnectionPoolConfig(),
+    servers: [
+      {
+        id: "Server 1",
+        protocol: "ftp",
+        tls: "explicit",
+        host: "",
+        password: "",
+        port: 21,
+        user: "",
+      },
+    ],
     syncMaps: [],
   };
 }
 
+export function createDefaultConnectionPoolConfig(): ConnectionPoolSettings {
+  return {
+    maxConnections: 3,
+    keepaliveSeconds: 30,
+    idleTimeoutSeconds: 300,
+    acquireTimeoutSeconds: 120,
+  };
+}
+
+export function getConnectionPoolSettings(
+  config: Config,
+): ConnectionPoolSettings {
+  return { ...createDefaultConnectionPoolConfig(), ...config.connectionPool };
+}
+
+export function getServerConfig(
+  config: Config,
+  serverId: string,
+): ServerConfig | undefined {
+  return config.servers.find((server) => server.id === serverId);
+}
+
+export function getSyncMapServer(
+  config: Config,
+  syncMap: SyncMap,
+): ServerConfig | undefined {
+  return getServerConfig(config, syncMap.serverId);
+}
+
 export type GetConfigResult =
   | {
       type: "Ok";
@@ -131,7 +175,10 @@ export function saveConfig(
     for (const sync of config.syncMaps) {
       sync.destinationFolder = sync.destinationFolder.replaceAll("\\", "/");
     }
-    fs.writeFileSync(CONFIG_FILE_PATH, JSON.stringify(config, null, 4));
+    fs.writeFileSync(
+      CONFIG_FILE_PATH,
+      JSON.stringify(storeConfigSecrets(config), null, 4),
+    );
 
     // Apply config changes immediately if application state is available
     if (applicationState) {
@@ -154,17 +201,9 @@ async function applyConfigUpdate(
   // Apply the new configuration
   applicationState.config = newConfig;
 
-  // Update auto-sync if interval changed
-  if (
-    oldConfig.autoSyncIntervalInMinutes !== newConfig.autoSyncIntervalInMinutes
-  ) {
-    const { toggleAutoSync } = await import("./sync");
-    if (applicationState.autoSyncIntervalHandler) {
-      communication.logInfo("Auto-sync interval updated, restarting timer.");
-      toggleAutoSync(applicationState, false);
-      toggleAutoSync(applicationState, true);
-    }
-  }
+  // Update auto-sync if the interval or any cron schedule changed
+  const { updateAutoSyncSchedule } = await import("./scheduler");
+  updateAutoSyncSchedule(applicationState, oldConfig);
 
   communication.logInfo("Config successfully updated.");
   communication.sendConfig(JSON.parse(JSON.stringify(newConfig)));
@@ -235,6 +274,8 @@ async function getConfig(): Promise<GetConfigResult> {
       console.log("Config file updated with migrated values");
     }
 
+    resolveConfigSecrets(validation.value!);
+
     return {
       type: "Ok",
       data: validation.value!,
@@ -0,0 +1,68 @@
+// Simple tests to ensure cron expressions are parsed and scheduled correctly
+import { CronExpression } from "./cron";
+
+function check(
+  description: string,
+  expression: string,
+  after: Date,
+  expected: Date,
+) {
+  const next = CronExpression.parse(expression).next(after);
+  console.log(
+    `${description}:`,
+    next.getTime() === expected.getTime()
+      ? "✅ PASSED"
+      : `❌ FAILED: expected ${expected.toString()}, got ${next.toString()}`,
+  );
+}
+
+function checkInvalid(description: string, expression: string) {
+  let rejected = false;
+  try {
+    CronExpression.parse(expression);
+  } catch {
+    rejected = true;
+  }
+  console.log(
+    `${description}:`,
+    rejected
+      ? "✅ PASSED (correctly rejected)"
+      : "❌ FAILED (should have been rejected)",
+  );
+}
+
+console.log("Testing cron schedules...");
+
+// Wednesday, 2025-10-15 13:07
+const start = new Date(2025, 9, 15, 13, 7, 30);
+
+check("Every minute", "* * * * *", start, new Date(2025, 9, 15, 13, 8));
+check("Every 15 minutes", "*/15 * * * *", start, new Date(2025, 9, 15, 13, 15));
+check(
+  "Every 15 minutes on the air day",
+  "*/15 * * * sat",
+  start,
+  new Date(2025, 9, 18, 0, 0),
+);
+check("Weekly macro", "@weekly", start, new Date(2025, 9, 19, 0, 0));
+check(
+  "Hour range with list",
+  "30 8-10,20 * * *",
+  start,
+  new Date(2025, 9, 15, 20, 30),
+);
+check("Month names", "0 12 1 jan *", start, new Date(2026, 0, 1, 12, 0));
+check("Sunday as 7", "0 0 * * 7", start, new Date(2025, 9, 19, 0, 0));
+check(
+  "Day of month or day of week",
+  "0 6 17 * mon",
+  start,
+  new Date(2025, 9, 17, 6, 0),
+);
+
+console.log("\nTesting invalid cron expressions...");
+
+checkInvalid("Too few fields", "* * * *");
+checkInvalid("Minute out of range", "60 * * * *");
+checkInvalid("Unknown day name", "0 0 * * someday");
+checkInvalid("Zero step", "*/0 * * * *");
@@ -0,0 +1,187 @@
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const MACROS: { [macro: string]: string } = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+interface FieldDefinition {
+  name: string;
+  min: number;
+  max: number;
+  names?: string[];
+  nameOffset?: number;
+}
+
+const FIELD_DEFINITIONS: FieldDefinition[] = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+// Give up looking for the next run after this many years, e.g. for "0 0 30 2 *".
+const MAX_SEARCH_YEARS = 5;
+
+interface CronField {
+  values: Set<number>;
+  restricted: boolean;
+}
+
+function parseValue(value: string, definition: FieldDefinition): number {
+  const nameIndex = definition.names?.indexOf(value.toLowerCase()) ?? -1;
+  const number =
+    nameIndex !== -1
+      ? nameIndex + (definition.nameOffset ?? 0)
+      : /^\d+$/.test(value)
+        ? Number(value)
+        : NaN;
+
+  if (isNaN(number) || number < definition.min || number > definition.max) {
+    throw new Error(
+      `Invalid ${definition.name} "${value}", expected ${definition.min}-${definition.max}.`,
+    );
+  }
+  return number;
+}
+
+function parseField(field: string, definition: FieldDefinition): CronField {
+  const values = new Set<number>();
+
+  for (const part of field.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${definition.name}.`);
+    }
+
+    let start: number;
+    let end: number;
+    if (range === "*") {
+      start = definition.min;
+      end = definition.max;
+    } else if (range.includes("-")) {
+      const [from, to] = range.split("-");
+      start = parseValue(from, definition);
+      end = parseValue(to, definition);
+      if (start > end) {
+        throw new Error(`Invalid range "${range}" in ${definition.name}.`);
+      }
+    } else {
+      start = parseValue(range, definition);
+      end = stepText === undefined ? start : definition.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, restricted: !field.startsWith("*") };
+}
+
+/**
+ * A standard five field cron expression (minute, hour, day of month, month,
+ * day of week) evaluated in the server's local time. Supports lists, ranges,
+ * steps, month and day names and the common @-macros.
+ */
+export class CronExpression {
+  private constructor(
+    private readonly _minutes: CronField,
+    private readonly _hours: CronField,
+    private readonly _daysOfMonth: CronField,
+    private readonly _months: CronField,
+    private readonly _daysOfWeek: CronField,
+  ) {}
+
+  static parse(expression: string): CronExpression {
+    const normalized = expression.trim().toLowerCase();
+    const fields = (MACROS[normalized] ?? normalized).split(/\s+/);
+    if (fields.length !== FIELD_DEFINITIONS.length) {
+      throw new Error(
+        `Cron expression "${expression}" must have ${FIELD_DEFINITIONS.length} fields.`,
+      );
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map(
+      (field, i) => parseField(field, FIELD_DEFINITIONS[i]),
+    );
+    // Both 0 and 7 mean sunday.
+    if (daysOfWeek.values.has(7)) {
+      daysOfWeek.values.add(0);
+    }
+
+    return new CronExpression(minutes, hours, daysOfMonth, months, daysOfWeek);
+  }
+
+  /**
+   * Returns the first point in time strictly after the given date that
+   * matches the expression.
+   */
+  next(after: Date): Date {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const searchLimit = after.getFullYear() + MAX_SEARCH_YEARS;
+
+    while (date.getFullYear() <= searchLimit) {
+      if (!this._months.values.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0);
+        continue;
+      }
+      if (!this._matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0);
+        continue;
+      }
+      if (!this._hours.values.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0);
+        continue;
+      }
+      if (!this._minutes.values.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1);
+        continue;
+      }
+      return date;
+    }
+
+    throw new Error("Cron expression never matches.");
+  }
+
+  // Like cron itself: if both day fields are restricted, either may match.
+  private _matchesDay(date: Date): boolean {
+    const dayOfMonth = this._daysOfMonth.values.has(date.getDate());
+    const dayOfWeek = this._daysOfWeek.values.has(date.getDay());
+    if (this._daysOfMonth.restricted && this._daysOfWeek.restricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    if (this._daysOfMonth.restricted) {
+      return dayOfMonth;
+    }
+    if (this._daysOfWeek.restricted) {
+      return dayOfWeek;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,94 @@
+// Simple tests to ensure the download history forgets only files that are gone
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Communication } from "./communication";
+import { DownloadHistory, DownloadHistoryEntry } from "./download-history";
+
+const communication = {
+  logError: (content: string) => console.log(`❌ FAILED: ${content}`),
+} as unknown as Communication;
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), "weebsync-history-"));
+const historyPath = path.join(folder, "history.json");
+
+function download(name: string, syncMapId = "test"): DownloadHistoryEntry {
+  return {
+    syncMapId,
+    remotePath: `/remote/${name}`,
+    remoteSize: name.length,
+    remoteDate: "2025-10-01T12:00:00.000Z",
+    localPath: path.join(folder, name),
+    downloadedAt: "2025-10-02T12:00:00.000Z",
+  };
+}
+
+function check(description: string, actual: unknown, expected: unknown) {
+  console.log(
+    `${description}:`,
+    JSON.stringify(actual) === JSON.stringify(expected)
+      ? "✅ PASSED"
+      : `❌ FAILED: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`,
+  );
+}
+
+console.log("Testing download history pruning...");
+
+try {
+  const onDisk = download("on-disk.mkv");
+  const missing = download("missing.mkv");
+  const removed = download("removed.mkv");
+  const onRemote = download("on-remote.mkv");
+  const otherSyncMap = download("other.mkv", "other");
+  fs.writeFileSync(onDisk.localPath, "episode");
+  fs.writeFileSync(removed.localPath, "someone else's file");
+  fs.writeFileSync(
+    historyPath,
+    JSON.stringify({
+      version: 1,
+      entries: [
+        onDisk,
+        missing,
+        removed,
+        { ...removed, removedAt: "2025-10-03T12:00:00.000Z" },
+        onRemote,
+        { ...onRemote, downloadedAt: "2025-10-04T12:00:00.000Z" },
+        otherSyncMap,
+      ],
+    }),
+  );
+
+  const history = new DownloadHistory(communication, historyPath);
+  history.load();
+  history.prune("test", new Set());
+  check(
+    "An empty listing prunes nothing",
+    history.find("test", missing.remotePath)?.localPath,
+    missing.localPath,
+  );
+
+  history.prune("test", new Set([onRemote.remotePath]));
+  history.flush();
+
+  const saved = fs.readFileSync(historyPath, "utf-8");
+  check("The history is saved compact", saved.includes("\n"), false);
+  const remotePaths = (JSON.parse(saved).entries as DownloadHistoryEntry[]).map(
+    (entry) => entry.remotePath,
+  );
+  check("Only files gone locally and on the remote are pruned", remotePaths, [
+    onDisk.remotePath,
+    onRemote.remotePath,
+    onRemote.remotePath,
+    otherSyncMap.remotePath,
+  ]);
+  check(
+    "Pruned files are forgotten",
+    [
+      history.find("test", missing.remotePath),
+      history.find("test", removed.remotePath),
+    ],
+    [undefined, undefined],
+  );
+} finally {
+  fs.rmSync(folder, { recursive: true, force: true });
+}
@@ -0,0 +1,186 @@
+import fs from "fs";
+import { Communication } from "./communication";
+import { CONFIG_FILE_DIR } from "./config";
+
+const HISTORY_FILE_PATH = `${CONFIG_FILE_DIR}/weebsync.history.json`;
+const HISTORY_FILE_VERSION = 1;
+// Removals and downloads come in bursts, they are saved together.
+const SAVE_DELAY = 5000;
+
+export interface DownloadHistoryEntry {
+  syncMapId: string;
+  remotePath: string;
+  remoteSize: number;
+  remoteDate: string;
+  localPath: string;
+  downloadedAt: string;
+  // Set once weebsync removed the local file again.
+  removedAt?: string;
+  removalReason?: RemovalReason;
+}
+
+export type RemovalReason = "mirror" | "retention";
+
+interface DownloadHistoryFile {
+  version: number;
+  entries: DownloadHistoryEntry[];
+}
+
+/**
+ * Record of every completed download and every removal of a downloaded
+ * file, saved next to the config. It lets downloads depend on more than
+ * what is on the local disk and serves as an audit trail. Files that are
+ * gone both locally and on the remote are pruned.
+ */
+export class DownloadHistory {
+  private _entries: DownloadHistoryEntry[] = [];
+  private readonly _latest = new Map<string, DownloadHistoryEntry>();
+  private _saveTimer: NodeJS.Timeout | undefined;
+
+  constructor(
+    private readonly _communication: Communication,
+    private readonly _filePath: string = HISTORY_FILE_PATH,
+  ) {}
+
+  load(): void {
+    if (!fs.existsSync(this._filePath)) {
+      return;
+    }
+
+    try {
+      const file = JSON.parse(
+        fs.readFileSync(this._filePath, "utf-8"),
+      ) as DownloadHistoryFile;
+      this._entries = Array.isArray(file.entries) ? file.entries : [];
+    } catch (e) {
+      const backupPath = `${this._filePath}.broken-${Date.now()}`;
+      fs.renameSync(this._filePath, backupPath);
+      this._communication.logError(
+        `Download history was unreadable and has been moved to "${backupPath}": ${e instanceof Error ? e.message : String(e)}`,
+      );
+      this._entries = [];
+    }
+
+    this._latest.clear();
+    for (const entry of this._entries) {
+      this._latest.set(this._key(entry.syncMapId, entry.remotePath), entry);
+    }
+  }
+
+  /**
+   * Returns the most recent download of the given remote file.
+   */
+  find(
+    syncMapId: string,
+    remotePath: string,
+  ): DownloadHistoryEntry | undefined {
+    return this._latest.get(this._key(syncMapId, remotePath));
+  }
+
+  /**
+   * Returns the latest download of every remote file of a sync map whose
+   * local file weebsync has not removed since.
+   */
+  entriesForSyncMap(syncMapId: string): DownloadHistoryEntry[] {
+    return [...this._latest.values()].filter(
+      (entry) => entry.syncMapId === syncMapId && !entry.removedAt,
+    );
+  }
+
+  record(
+    entry: Omit<
+      DownloadHistoryEntry,
+      "downloadedAt" | "removedAt" | "removalReason"
+    >,
+  ): void {
+    this._append({
+      ...entry,
+      downloadedAt: new Date().toISOString(),
+    });
+  }
+
+  recordRemoval(entry: DownloadHistoryEntry, reason: RemovalReason): void {
+    this._append({
+      ...entry,
+      removedAt: new Date().toISOString(),
+      removalReason: reason,
+    });
+  }
+
+  /**
+   * Forgets the files of a sync map that are neither on the remote nor on
+   * the local disk anymore, they can't affect any download again.
+   */
+  prune(syncMapId: string, remotePaths: Set<string>): void {
+    // An empty listing is more likely a hiccup of the server than a folder
+    // that was emptied, retention removals would be forgotten.
+    if (remotePaths.size === 0) {
+      return;
+    }
+    const pruned = new Set<string>();
+    for (const [key, entry] of this._latest) {
+      if (
+        entry.syncMapId === syncMapId &&
+        !remotePaths.has(entry.remotePath) &&
+        (entry.removedAt || !fs.existsSync(entry.localPath))
+      ) {
+        pruned.add(key);
+      }
+    }
+    if (pruned.size === 0) {
+      return;
+    }
+
+    this._entries = this._entries.filter(
+      (entry) => !pruned.has(this._key(entry.syncMapId, entry.remotePath)),
+    );
+    for (const key of pruned) {
+      this._latest.delete(key);
+    }
+    this._scheduleSave();
+  }
+
+  private _append(entry: DownloadHistoryEntry): void {
+    this._entries.push(entry);
+    this._latest.set(this._key(entry.syncMapId, entry.remotePath), entry);
+    this._scheduleSave();
+  }
+
+  private _scheduleSave(): void {
+    if (!this._saveTimer) {
+      this._saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+    }
+  }
+
+  /**
+   * Saves the entries recorded since the last save right away.
+   */
+  flush(): void {
+    if (!this._saveTimer) {
+      return;
+    }
+    clearTimeout(this._saveTimer);
+    this._saveTimer = undefined;
+    this._save();
+  }
+
+  private _key(syncMapId: string, remotePath: string): string {
+    return `${syncMapId}\0${remotePath}`;
+  }
+
+  private _save(): void {
+    const file: DownloadHistoryFile = {
+      version: HISTORY_FILE_VERSION,
+      entries: this._entries,
+    };
+    const tmpPath = `${this._filePath}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(file));
+      fs.renameSync(tmpPath, this._filePath);
+    } catch (e) {
+      this._communication.logError(
+        `Could not save download history: ${e instanceof Error ? e.message : String(e)}`,
+      );
+    }
+  }
+}
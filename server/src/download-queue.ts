@@ -0,0 +1,70 @@
+/**
+ * A job queue that hands out jobs to a number of concurrent workers while
+ * making sure no group (e.g. a sync map) has more jobs running than its limit.
+ */
+export class DownloadQueue<T> {
+  private readonly _pending: T[] = [];
+  private readonly _active = new Map<string, number>();
+  private _waiters: (() => void)[] = [];
+
+  constructor(
+    private readonly _getGroup: (job: T) => string,
+    private readonly _getGroupLimit: (group: string) => number,
+  ) {}
+
+  get size(): number {
+    return this._pending.length;
+  }
+
+  push(job: T): void {
+    this._pending.push(job);
+    this._wakeWaiters();
+  }
+
+  /**
+   * Resolves with the next job that may run, waiting for a running job of the
+   * same group to finish if necessary. Resolves with undefined once there is
+   * nothing left to do.
+   */
+  async take(): Promise<T | undefined> {
+    while (this._pending.length > 0) {
+      const index = this._pending.findIndex((job) => {
+        const group = this._getGroup(job);
+        return (this._active.get(group) ?? 0) < this._getGroupLimit(group);
+      });
+
+      if (index !== -1) {
+        const [job] = this._pending.splice(index, 1);
+        const group = this._getGroup(job);
+        this._active.set(group, (this._active.get(group) ?? 0) + 1);
+        return job;
+      }
+
+      await new Promise<void>((resolve) => this._waiters.push(resolve));
+    }
+    return undefined;
+  }
+
+  release(job: T): void {
+    const group = this._getGroup(job);
+    this._active.set(group, Math.max((this._active.get(group) ?? 0) - 1, 0));
+    this._wakeWaiters();
+  }
+
+  /**
+   * Drops all pending jobs and returns them.
+   */
+  clear(): T[] {
+    const dropped = this._pending.splice(0, this._pending.length);
+    this._wakeWaiters();
+    return dropped;
+  }
+
+  private _wakeWaiters(): void {
+    const waiters = this._waiters;
+    this._waiters = [];
+    for (const wake of waiters) {
+      wake();
+    }
+  }
+}
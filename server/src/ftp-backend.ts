@@ -0,0 +1,233 @@
+import { Socket } from "net";
+import { Writable } from "stream";
+import { ConnectionOptions, TLSSocket, connect as connectTLS } from "tls";
+import { Client, FileInfo, FTPContext, FTPError, FTPResponse } from "basic-ftp";
+import { ProxyConfig, ServerConfig } from "@shared/types";
+import { SourceBackend } from "./source-backend";
+import { certificatePins, getCertificatePinKey } from "./certificate-pins";
+import { connectThroughProxy } from "./proxy";
+import { parseListingDate } from "./listing-dates";
+
+export class FtpBackend implements SourceBackend {
+  private readonly _client = new Client();
+  private _timezoneOffsetMinutes = 0;
+
+  /**
+   * Does what basic-ftp's `access` does, but checks the certificate of the
+   * server against the pinned one before sending any credentials.
+   */
+  async connect(server: ServerConfig): Promise<void> {
+    const tls = server.tls ?? "explicit";
+    this._timezoneOffsetMinutes = server.timezoneOffsetMinutes ?? 0;
+    // Certificates are verified by pinning instead, seedboxes often use
+    // self-signed ones.
+    const secureOptions = { host: server.host, rejectUnauthorized: false };
+
+    if (server.proxy) {
+      await this._connectThroughProxy(server, server.proxy, secureOptions);
+    } else if (tls === "implicit") {
+      await this._client.connectImplicitTLS(
+        server.host,
+        server.port,
+        secureOptions,
+      );
+    } else {
+      await this._client.connect(server.host, server.port);
+    }
+    if (tls === "explicit") {
+      await this._client.useTLS(secureOptions);
+    }
+    if (tls !== "none") {
+      this._verifyCertificate(server);
+    }
+
+    // Set UTF-8 on before login in case there are non-ascii characters in
+    // user or password.
+    await this._client.sendIgnoringError("OPTS UTF8 ON");
+    await this._client.login(server.user, server.password);
+    await this._client.useDefaultSettings();
+  }
+
+  /**
+   * basic-ftp lists with MLSD if the server supports it, which comes with
+   * exact UTC dates. `LIST` dates are parsed here in the server's timezone.
+   */
+  async listDir(path: string): Promise<FileInfo[]> {
+    const fileInfos = await this._client.list(path);
+    for (const fileInfo of fileInfos) {
+      fileInfo.modifiedAt ??= parseListingDate(
+        fileInfo.rawModifiedAt,
+        this._timezoneOffsetMinutes,
+      )?.date;
+    }
+    return fileInfos;
+  }
+
+  async cd(path: string): Promise<void> {
+    await this._client.cd(path);
+  }
+
+  async size(path: string): Promise<number> {
+    return await this._client.size(path);
+  }
+
+  async lastModified(path: string): Promise<Date | undefined> {
+    try {
+      // MDTM is always in UTC.
+      return await this._client.lastMod(path);
+    } catch (e) {
+      // Not supported by the server or not a file.
+      if (e instanceof FTPError) {
+        return undefined;
+      }
+      throw e;
+    }
+  }
+
+  async download(
+    destination: Writable,
+    path: string,
+    startAt: number,
+  ): Promise<void> {
+    // A start offset makes basic-ftp send REST before RETR, so the server
+    // only transfers the part we are still missing.
+    await this._client.downloadTo(destination, path, startAt);
+  }
+
+  async ping(): Promise<void> {
+    await this._client.send("NOOP");
+  }
+
+  close(): void {
+    this._client.close();
+  }
+
+  isClosed(): boolean {
+    return this._client.closed;
+  }
+
+  /**
+   * basic-ftp only connects directly, so it gets the tunneled socket in place
+   * of its own. Data connections are tunneled the same way.
+   */
+  private async _connectThroughProxy(
+    server: ServerConfig,
+    proxy: ProxyConfig,
+    secureOptions: ConnectionOptions,
+  ): Promise<void> {
+    const ftp = this._client.ftp;
+    const socket = await connectThroughProxy(proxy, server.host, server.port);
+    if ((server.tls ?? "explicit") === "implicit") {
+      ftp.socket = connectTLS({ ...secureOptions, socket });
+      ftp.tlsOptions = secureOptions;
+    } else {
+      ftp.socket = socket;
+    }
+    this._client.prepareTransfer = (context) =>
+      this._openProxiedDataConnection(context, server, proxy);
+
+    // What basic-ftp's `connect` waits for after opening its socket.
+    await ftp.handle(undefined, (res, task) => {
+      if (res instanceof Error) {
+        task.reject(res);
+      } else if (res.code >= 200 && res.code < 300) {
+        task.resolve(res);
+      } else {
+        task.reject(new FTPError(res));
+      }
+    });
+  }
+
+  /**
+   * Passive mode only, the proxy can't accept connections for us. The
+   * control connection's address is the proxy's, so the data connection
+   * goes to the configured host unless the server names a public one.
+   */
+  private async _openProxiedDataConnection(
+    ftp: FTPContext,
+    server: ServerConfig,
+    proxy: ProxyConfig,
+  ): Promise<FTPResponse> {
+    let res: FTPResponse;
+    let target: { host: string; port: number };
+    try {
+      res = await ftp.request("EPSV");
+      target = { host: server.host, port: parseEpsvPort(res.message) };
+    } catch (e) {
+      if (!(e instanceof FTPError)) {
+        throw e;
+      }
+      res = await ftp.request("PASV");
+      target = parsePasvTarget(res.message, server.host);
+    }
+
+    let socket: Socket = await connectThroughProxy(
+      proxy,
+      target.host,
+      target.port,
+    );
+    if (ftp.socket instanceof TLSSocket) {
+      // Servers expect the TLS session of the control connection to be reused.
+      socket = connectTLS({
+        ...ftp.tlsOptions,
+        socket,
+        session: ftp.socket.getSession(),
+      });
+    }
+    ftp.dataSocket = socket;
+    return res;
+  }
+
+  private _verifyCertificate(server: ServerConfig): void {
+    const socket = this._client.ftp.socket;
+    const fingerprint =
+      socket instanceof TLSSocket
+        ? socket.getPeerCertificate().fingerprint256
+        : undefined;
+    if (!fingerprint) {
+      this.close();
+      throw new Error("Server did not present a TLS certificate.");
+    }
+
+    const pinKey = getCertificatePinKey(server.host, server.port);
+    const result = certificatePins.check(pinKey, fingerprint);
+    if (result.type === "Mismatch") {
+      this.close();
+      throw new Error(
+        `Certificate of ${pinKey} changed! Expected fingerprint ${result.expected} but got ${fingerprint}. Refusing to connect, this could be a man-in-the-middle attack. If the server got a new certificate, trust it in the config tab.`,
+      );
+    }
+  }
+}
+
+function parseEpsvPort(message: string): number {
+  // e.g. "229 Entering Extended Passive Mode (|||6446|)"
+  const port = Number(/[|!]{3}(\d+)[|!]/.exec(message)?.[1]);
+  if (!port) {
+    throw new Error(`Can't parse EPSV response: ${message}`);
+  }
+  return port;
+}
+
+function parsePasvTarget(
+  message: string,
+  controlHost: string,
+): { host: string; port: number } {
+  // e.g. "227 Entering Passive Mode (192,168,1,100,10,229)"
+  const groups = /(\d+),(\d+),(\d+),(\d+),(\d+),(\d+)/.exec(message);
+  if (!groups) {
+    throw new Error(`Can't parse PASV response: ${message}`);
+  }
+  const [a, b, c, d, high, low] = groups.slice(1).map(Number);
+  const host = `${a}.${b}.${c}.${d}`;
+  // Servers behind NAT announce their private address.
+  const isPrivate =
+    a === 10 ||
+    a === 127 ||
+    (a === 192 && b === 168) ||
+    (a === 172 && b >= 16 && b <= 31);
+  return {
+    host: isPrivate ? controlHost : host,
+    port: (high & 255) * 256 + (low & 255),
+  };
+}
@@ -1,8 +1,18 @@
 import fs from "fs";
+import { pipeline, Transform } from "stream";
 
 import { Communication } from "./communication";
-import { FileInfo, Client, FTPResponse } from "basic-ftp";
-import { Config } from "@shared/types";
+import { FileInfo } from "basic-ftp";
+import { SimpleEventDispatcher } from "strongly-typed-events";
+import {
+  Config,
+  ConnectionPoolSettings,
+  ConnectionPoolStats,
+  ServerConfig,
+} from "@shared/types";
+import { trackTransfer } from "./transfer-progress";
+import { createSourceBackend, SourceBackend } from "./source-backend";
+import { getConnectionPoolSettings, getServerConfig } from "./config";
 
 export type CreateFtpClientResult =
   | {
@@ -11,12 +21,24 @@ export type CreateFtpClientResult =
     }
   | { type: "ConnectionError"; message: string };
 
+/**
+ * A pooled connection to one of the configured servers. Despite the name it
+ * speaks whatever protocol the server is configured with, see `SourceBackend`.
+ */
 export class FTP {
-  private readonly _client = new Client();
+  private _backend: SourceBackend | null = null;
   private _used = false;
   private _lastAction: Date = new Date();
+  private _lastPing: Date = new Date();
 
-  constructor(private readonly _communication: Communication) {}
+  /**
+   * @param _onFree called whenever the connection is returned to its pool
+   */
+  constructor(
+    private readonly _server: ServerConfig,
+    private readonly _communication: Communication,
+    private readonly _onFree: (ftp: FTP) => void = () => {},
+  ) {}
 
   borrow() {
     if (this._used) {
@@ -30,6 +52,7 @@ export class FTP {
       throw new Error("Tried to free while it was already freed?!");
     }
     this._used = false;
+    this._onFree(this);
   }
 
   available(): boolean {
@@ -40,141 +63,389 @@ export class FTP {
     return this._lastAction.getTime();
   }
 
-  async connect(config: Config) {
-    await this._client.access({
-      host: config.server.host,
-      user: config.server.user,
-      port: config.server.port,
-      password: config.server.password,
-      secure: true,
-      secureOptions: { rejectUnauthorized: false },
-    });
+  /**
+   * Last time anything was sent over the connection, keepalives included.
+   */
+  getLastActivityTime(): number {
+    return Math.max(this._lastAction.getTime(), this._lastPing.getTime());
+  }
+
+  /**
+   * Whether this connection was made with the given server settings.
+   */
+  matches(server: ServerConfig): boolean {
+    return JSON.stringify(this._server) === JSON.stringify(server);
+  }
+
+  async connect() {
+    this._backend?.close();
+    this._backend = createSourceBackend(this._server);
+    await this._backend.connect(this._server);
   }
 
   async listDir(path: string): Promise<FileInfo[]> {
     this._lastAction = new Date();
-    return await this._client.list(path);
+    return await this._getBackend().listDir(path);
+  }
+
+  async cd(path: string): Promise<void> {
+    this._lastAction = new Date();
+    await this._getBackend().cd(path);
+  }
+
+  async size(path: string): Promise<number> {
+    this._lastAction = new Date();
+    return await this._getBackend().size(path);
+  }
+
+  async lastModified(path: string): Promise<Date | undefined> {
+    this._lastAction = new Date();
+    const backend = this._getBackend();
+    return backend.lastModified ? await backend.lastModified(path) : undefined;
   }
 
-  async cd(path: string): Promise<FTPResponse> {
+  async link(path: string, localFile: string): Promise<boolean> {
     this._lastAction = new Date();
-    return await this._client.cd(path);
+    const backend = this._getBackend();
+    return backend.link ? await backend.link(path, localFile) : false;
+  }
+
+  /**
+   * Checks that the connection still works. Unlike the other calls this
+   * doesn't count as using the connection, so keepalives don't keep idle
+   * connections around forever.
+   */
+  async ping(): Promise<void> {
+    this._lastPing = new Date();
+    const backend = this._getBackend();
+    if (backend.ping) {
+      await backend.ping();
+    }
   }
 
   close(): void {
-    this._client.close();
+    this._backend?.close();
   }
 
   isClosed(): boolean {
-    return this._client.closed;
+    return this._backend?.isClosed() ?? true;
+  }
+
+  private _getBackend(): SourceBackend {
+    if (!this._backend) {
+      throw new Error("Client is closed");
+    }
+    return this._backend;
   }
 
   async getFile(
     hostFilePath: string,
     localFileStream: fs.WriteStream,
     size: number,
+    startAt: number = 0,
+    throttle?: Transform,
   ): Promise<void> {
-    const startTime = Date.now();
-    const speedHistory: number[] = [];
-    const maxHistoryLength = 5; // Keep last 5 measurements for smoothing
-
-    // Timer-based progress tracking every 500ms
-    const progressTimer = setInterval(() => {
-      this._lastAction = new Date();
-      const currentTime = Date.now();
-      const currentBytes = localFileStream.bytesWritten;
-      const progress = (currentBytes / size) * 100;
-
-      const totalTimeInSeconds = (currentTime - startTime) / 1000;
-
-      // Only calculate after 1 second and if we have meaningful data
-      if (totalTimeInSeconds >= 1 && currentBytes > 0) {
-        // Calculate overall average speed from start
-        const overallSpeedBytesPerSecond = currentBytes / totalTimeInSeconds;
-
-        // Convert to MiB/s using binary (1024) - Mebibyte = 1,048,576 bytes
-        const mebibytesPerSecond = overallSpeedBytesPerSecond / (1024 * 1024);
-
-        // Add to history for smoothing
-        speedHistory.push(mebibytesPerSecond);
-        if (speedHistory.length > maxHistoryLength) {
-          speedHistory.shift(); // Remove oldest measurement
-        }
+    const stopTracking = trackTransfer(
+      this._communication,
+      size,
+      startAt,
+      () => {
+        this._lastAction = new Date();
+        return localFileStream.bytesWritten;
+      },
+    );
 
-        // Calculate smoothed speed (simple moving average of MiB/s)
-        const smoothedMebibytesPerSecond =
-          speedHistory.reduce((sum, speed) => sum + speed, 0) /
-          speedHistory.length;
-
-        this._communication.updateBottomBar({
-          fileProgress: `${progress.toFixed(2).padStart(6, " ")}%`,
-          downloadSpeed: `${smoothedMebibytesPerSecond.toFixed(1).padStart(7, " ")} MiB/s`,
-        });
-      } else {
-        // Still update progress
-        this._communication.updateBottomBar({
-          fileProgress: `${progress.toFixed(2).padStart(6, " ")}%`,
-          downloadSpeed: "... MiB/s",
-        });
-      }
-    }, 500);
+    // Errors on either side (e.g. a manual abort destroying the file stream)
+    // tear down the whole pipeline and thereby the transfer.
+    if (throttle) {
+      pipeline(throttle, localFileStream, () => {});
+    }
 
     this._lastAction = new Date();
     try {
-      await this._client.downloadTo(localFileStream, hostFilePath);
+      await this._getBackend().download(
+        throttle ?? localFileStream,
+        hostFilePath,
+        startAt,
+      );
     } finally {
-      clearInterval(progressTimer);
-      this._communication.updateBottomBar({
-        fileProgress: "",
-        downloadSpeed: "",
-      });
+      stopTracking();
     }
   }
 }
 
-let ftpConnections: FTP[] = [];
-const FTP_CONNECTION_TIMEOUT = 1000 * 60;
-setInterval(() => {
-  cleanFTPConnections();
-}, FTP_CONNECTION_TIMEOUT);
-
-function cleanFTPConnections() {
-  ftpConnections = ftpConnections.filter((ftp) => {
-    if (
-      Date.now() - ftp.getLastActionTime() > FTP_CONNECTION_TIMEOUT ||
-      ftp.isClosed()
-    ) {
-      ftp.close();
+type AcquireTimeout = "Timeout";
+
+/**
+ * The connections to one server. Callers wait in line once all connections
+ * are borrowed and get the next freed one, idle connections are checked
+ * before they are lent out.
+ */
+class ConnectionPool {
+  private _connections: FTP[] = [];
+  // Resolved with a borrowed connection, or null if there is room for a new one.
+  private _waiting: ((ftp: FTP | null) => void)[] = [];
+  private _failed = 0;
+  private _lastError?: string;
+
+  constructor(
+    private _server: ServerConfig,
+    private _settings: ConnectionPoolSettings,
+    private readonly _communication: Communication,
+  ) {}
+
+  update(server: ServerConfig, settings: ConnectionPoolSettings): void {
+    this._server = server;
+    this._settings = settings;
+    // Idle connections made with outdated server settings are useless.
+    for (const ftp of this._connections.filter(
+      (ftp) => ftp.available() && !ftp.matches(server),
+    )) {
+      this._remove(ftp);
+    }
+  }
+
+  async acquire(): Promise<CreateFtpClientResult> {
+    const deadline = Date.now() + this._settings.acquireTimeoutSeconds * 1000;
+    for (;;) {
+      const idle = this._connections.find((ftp) => ftp.available());
+      if (idle) {
+        idle.borrow();
+        if (await this._check(idle)) {
+          return { type: "Ok", data: idle };
+        }
+        continue;
+      }
+
+      if (this._connections.length < this._settings.maxConnections) {
+        return await this._connectNew();
+      }
+
+      const handedOver = await this._wait(deadline);
+      if (handedOver === "Timeout") {
+        return {
+          type: "ConnectionError",
+          message: `No free connection to server "${this._server.id}" within ${this._settings.acquireTimeoutSeconds} seconds.`,
+        };
+      }
+      if (handedOver && (await this._check(handedOver))) {
+        return { type: "Ok", data: handedOver };
+      }
+    }
+  }
+
+  /**
+   * Sends keepalives to idle connections and closes those that weren't used
+   * for too long.
+   */
+  async maintain(): Promise<void> {
+    const now = Date.now();
+    for (const ftp of [...this._connections]) {
+      // Borrowed connections are reconnected by whoever holds them.
+      if (!ftp.available()) {
+        continue;
+      }
+      if (
+        ftp.isClosed() ||
+        now - ftp.getLastActionTime() > this._settings.idleTimeoutSeconds * 1000
+      ) {
+        this._remove(ftp);
+        continue;
+      }
+      if (
+        this._settings.keepaliveSeconds > 0 &&
+        now - ftp.getLastActivityTime() >=
+          this._settings.keepaliveSeconds * 1000
+      ) {
+        // Borrowed so nobody gets it handed out in the middle of the ping.
+        ftp.borrow();
+        try {
+          await ftp.ping();
+          ftp.free();
+        } catch (e) {
+          this._recordFailure(e);
+          this._remove(ftp);
+        }
+      }
+    }
+  }
+
+  getStats(): ConnectionPoolStats {
+    const idle = this._connections.filter((ftp) => ftp.available()).length;
+    return {
+      serverId: this._server.id,
+      idle,
+      busy: this._connections.length - idle,
+      waiting: this._waiting.length,
+      failed: this._failed,
+      maxConnections: this._settings.maxConnections,
+      lastError: this._lastError,
+    };
+  }
+
+  private async _connectNew(): Promise<CreateFtpClientResult> {
+    const ftp = new FTP(this._server, this._communication, (freed) =>
+      this._handOver(freed),
+    );
+    ftp.borrow();
+    this._connections.push(ftp);
+    this._changed();
+    try {
+      await ftp.connect();
+      return { type: "Ok", data: ftp };
+    } catch (e) {
+      this._recordFailure(e);
+      this._remove(ftp);
+      return { type: "ConnectionError", message: getErrorMessage(e) };
+    }
+  }
+
+  /**
+   * Makes sure a borrowed connection works before it is lent out, dead ones
+   * get one reconnect attempt.
+   */
+  private async _check(ftp: FTP): Promise<boolean> {
+    if (!ftp.isClosed()) {
+      try {
+        await ftp.ping();
+        return true;
+      } catch {
+        // Reconnected below.
+      }
+    }
+    try {
+      await ftp.connect();
+      return true;
+    } catch (e) {
+      this._recordFailure(e);
+      this._remove(ftp);
       return false;
     }
-    return true;
-  });
+  }
+
+  private _wait(deadline: number): Promise<FTP | null | AcquireTimeout> {
+    return new Promise((resolve) => {
+      const waiter = (ftp: FTP | null) => {
+        clearTimeout(timeout);
+        resolve(ftp);
+      };
+      const timeout = setTimeout(
+        () => {
+          this._waiting = this._waiting.filter((w) => w !== waiter);
+          this._changed();
+          resolve("Timeout");
+        },
+        Math.max(deadline - Date.now(), 0),
+      );
+      this._waiting.push(waiter);
+      this._changed();
+    });
+  }
+
+  private _handOver(ftp: FTP): void {
+    if (!this._connections.includes(ftp)) {
+      // Removed while it was borrowed.
+      ftp.close();
+      return;
+    }
+    if (!ftp.matches(this._server)) {
+      this._remove(ftp);
+      return;
+    }
+    const waiter = this._waiting.shift();
+    if (waiter) {
+      ftp.borrow();
+      waiter(ftp);
+    }
+    this._changed();
+  }
+
+  private _remove(ftp: FTP): void {
+    ftp.close();
+    this._connections = this._connections.filter((f) => f !== ftp);
+    // The first in line may open a new connection instead.
+    this._waiting.shift()?.(null);
+    this._changed();
+  }
+
+  private _recordFailure(e: unknown): void {
+    this._failed++;
+    this._lastError = getErrorMessage(e);
+  }
+
+  private _changed(): void {
+    connectionPoolChanged.dispatch(this._server.id);
+  }
+}
+
+function getErrorMessage(e: unknown): string {
+  return e instanceof Error ? e.message : String(e);
+}
+
+// Connection pools keyed by server id.
+const connectionPools = new Map<string, ConnectionPool>();
+
+/**
+ * Fires with the server id whenever the stats of its pool changed.
+ */
+export const connectionPoolChanged = new SimpleEventDispatcher<string>();
+
+const POOL_MAINTENANCE_INTERVAL = 1000 * 5;
+setInterval(() => {
+  for (const pool of connectionPools.values()) {
+    void pool.maintain();
+  }
+}, POOL_MAINTENANCE_INTERVAL);
+
+export function getConnectionPoolStats(config: Config): ConnectionPoolStats[] {
+  const settings = getConnectionPoolSettings(config);
+  return config.servers.map(
+    (server) =>
+      connectionPools.get(server.id)?.getStats() ?? {
+        serverId: server.id,
+        idle: 0,
+        busy: 0,
+        waiting: 0,
+        failed: 0,
+        maxConnections: settings.maxConnections,
+      },
+  );
 }
 
 export async function getFTPClient(
   config: Config,
+  server: ServerConfig,
   communication: Communication,
 ): Promise<CreateFtpClientResult> {
+  const settings = getConnectionPoolSettings(config);
+  let pool = connectionPools.get(server.id);
+  if (pool) {
+    pool.update(server, settings);
+  } else {
+    pool = new ConnectionPool(server, settings, communication);
+    connectionPools.set(server.id, pool);
+  }
   try {
-    cleanFTPConnections();
-    let freeFtpConnection = ftpConnections.find(
-      (f) => f.available() && !f.isClosed(),
-    );
-    if (!freeFtpConnection) {
-      if (ftpConnections.length >= 3) {
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-        return await getFTPClient(config, communication);
-      }
-
-      freeFtpConnection = new FTP(communication);
-      ftpConnections.push(freeFtpConnection);
-      await freeFtpConnection.connect(config);
-    }
-
-    freeFtpConnection.borrow();
-    return { type: "Ok", data: freeFtpConnection };
+    return await pool.acquire();
   } catch (err) {
-    const errorMessage = err instanceof Error ? err.message : String(err);
-    return { type: "ConnectionError", message: errorMessage };
+    return { type: "ConnectionError", message: getErrorMessage(err) };
+  }
+}
+
+/**
+ * Like `getFTPClient`, but looks up the server profile by id first.
+ */
+export async function getFTPClientForServer(
+  config: Config,
+  serverId: string,
+  communication: Communication,
+): Promise<CreateFtpClientResult> {
+  const server = getServerConfig(config, serverId);
+  if (!server) {
+    return {
+      type: "ConnectionError",
+      message: `Server "${serverId}" is not configured.`,
+    };
   }
+  return await getFTPClient(config, server, communication);
 }
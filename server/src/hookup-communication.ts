@@ -1,19 +1,34 @@
-import { abortSync, syncFiles } from "./sync";
+import { abortSync, planSync, syncFiles } from "./sync";
 import { saveConfig } from "./config";
+import { getAutoSyncSchedule, updateAutoSyncSchedule } from "./scheduler";
+import { certificatePins, getCertificatePinKey } from "./certificate-pins";
+import { connectionPoolChanged, getConnectionPoolStats } from "./ftp";
 import { ApplicationState } from "./index";
 import {
   checkDir,
   listDir,
+  listDirPage,
   getRegexDebugInfo,
   listLocalDir,
   checkLocalDir,
 } from "./actions";
 import { pluginApis, savePluginConfiguration } from "./plugin-system";
+import { FORBIDDEN, userStore } from "./auth";
+import { isEventAllowed } from "./permissions";
+import {
+  redactConfig,
+  redactPluginConfig,
+  restoreConfigSecrets,
+  restorePluginSecrets,
+} from "./secrets";
 import { PluginConfig } from "./types";
+import { CertificatePin, Log, StateSnapshot } from "@shared/types";
 import {
   validateConfig,
+  validateListDirPageOptions,
   validatePath,
   validateRegexDebugInput,
+  validateServerId,
 } from "./validation";
 
 // Unified error handling wrapper for socket events
@@ -32,14 +47,72 @@ function withErrorHandling<T extends any[]>(
   };
 }
 
+function getServerPinKeys(applicationState: ApplicationState): string[] {
+  return applicationState.config.servers.map((server) =>
+    getCertificatePinKey(server.host, server.port),
+  );
+}
+
+function getServerPins(applicationState: ApplicationState): CertificatePin[] {
+  return getServerPinKeys(applicationState)
+    .map((pinKey) => certificatePins.get(pinKey))
+    .filter((pin) => pin !== undefined);
+}
+
+function getLogs(applicationState: ApplicationState): Log[] {
+  return applicationState.communication.logs.getAll().filter((v) => v);
+}
+
+function getStateSnapshot(applicationState: ApplicationState): StateSnapshot {
+  return {
+    logs: getLogs(applicationState),
+    config: redactConfig(applicationState.config),
+    syncStatus: applicationState.syncInProgress,
+    bottomBar: applicationState.communication.bottomBar,
+    autoSyncSchedule: getAutoSyncSchedule(applicationState),
+    certificatePins: getServerPins(applicationState),
+    connectionPoolStats: getConnectionPoolStats(applicationState.config),
+  };
+}
+
 export function hookupCommunicationEvents(
   applicationState: ApplicationState,
 ): void {
+  certificatePins.changed.sub((pin) => {
+    if (getServerPinKeys(applicationState).includes(pin.server)) {
+      applicationState.communication.sendCertificatePin(pin);
+    }
+  });
+  connectionPoolChanged.sub(() => {
+    applicationState.communication.sendConnectionPoolStats(
+      getConnectionPoolStats(applicationState.config),
+    );
+  });
   applicationState.communication.connect.sub((socket) => {
+    // Every event is checked against the current role of the session, so
+    // role changes and logouts apply right away.
+    socket?.use(([event], next) => {
+      const user = userStore.getSessionUser(socket.data.token);
+      if (user && isEventAllowed(user.role, event)) {
+        next();
+        return;
+      }
+      applicationState.communication.warnSocket(
+        socket,
+        `${user ? `User "${user.name}"` : "An expired session"} may not use "${event}".`,
+      );
+      next(new Error(FORBIDDEN));
+    });
+    // Refused events are raised as errors here, they were reported above.
+    socket?.on("error", (err) => {
+      if (err.message !== FORBIDDEN) {
+        applicationState.communication.logError(`Socket error: ${err.message}`);
+      }
+    });
     socket?.on("getPlugins", (cb) => {
       const pluginsData = applicationState.plugins.map((p) => ({
         name: p.name,
-        config: p.config,
+        config: redactPluginConfig(p.config, p.pluginConfigurationDefinition),
         pluginConfigurationDefinition: p.pluginConfigurationDefinition,
         version: p.version,
         description: p.description,
@@ -48,33 +121,29 @@ export function hookupCommunicationEvents(
     });
     socket?.on(
       "sendPluginConfig",
-      withErrorHandling(async (name: string, config: unknown) => {
+      withErrorHandling(async (name: string, receivedConfig: unknown) => {
         const plugin = applicationState.plugins.find((p) => p.name === name);
         if (plugin) {
           applicationState.communication.logInfo(
             `Saving config for plugin ${name}.`,
           );
-          await savePluginConfiguration(plugin.name, config as PluginConfig);
+          const config = restorePluginSecrets(
+            receivedConfig as PluginConfig,
+            plugin.config,
+            plugin.pluginConfigurationDefinition,
+          ) as PluginConfig;
+          await savePluginConfiguration(plugin.name, config);
           if (plugin.onConfigUpdate) {
-            await plugin.onConfigUpdate(
-              pluginApis[name],
-              config as PluginConfig,
-            );
+            await plugin.onConfigUpdate(pluginApis[name], config);
           }
-          plugin.config = config as PluginConfig;
+          plugin.config = config;
           applicationState.communication.logInfo(`Config for ${name} saved!`);
         }
       }, applicationState),
     );
-    socket?.on("getLogs", (cb) => {
-      cb(applicationState.communication.logs.getAll().filter((v) => v));
-    });
     socket?.on("getVersion", (cb) => {
       cb(process.env.__APP_VERSION__ ?? "unknown");
     });
-    socket?.on("getSyncStatus", (cb) => {
-      cb(applicationState.syncInProgress);
-    });
     socket?.on("getLatestVersion", async (cb) => {
       try {
         const res = await fetch(
@@ -100,9 +169,21 @@ export function hookupCommunicationEvents(
     socket?.on("stopSync", () => {
       abortSync();
     });
+    socket?.on("getSyncPlan", async (cb) => {
+      try {
+        cb(await planSync(applicationState));
+      } catch (error) {
+        const message =
+          error instanceof Error ? error.message : "Unknown error";
+        applicationState.communication.logError(
+          `Could not create sync plan: ${message}`,
+        );
+        cb({ entries: [], errors: [{ message }] });
+      }
+    });
     socket?.on("config", async (config: unknown) => {
       // Validate configuration input
-      const validation = validateConfig(config);
+      const validation = validateConfig(config, "client");
       if (!validation.isValid) {
         applicationState.communication.logError(
           `Invalid configuration received: ${validation.error}`,
@@ -111,6 +192,15 @@ export function hookupCommunicationEvents(
       }
 
       const validatedConfig = validation.value!;
+      // The browser only knows masks of the stored secrets.
+      for (const secret of restoreConfigSecrets(
+        validatedConfig,
+        applicationState.config,
+      )) {
+        applicationState.communication.logWarning(
+          `The ${secret} was lost and has to be entered again.`,
+        );
+      }
 
       // If sync is in progress, stop it first (but don't restart automatically)
       if (applicationState.syncInProgress) {
@@ -126,7 +216,9 @@ export function hookupCommunicationEvents(
       saveConfig(validatedConfig, applicationState.communication);
 
       // Apply config changes manually without file watcher triggering
+      const oldConfig = applicationState.config;
       applicationState.config = validatedConfig;
+      updateAutoSyncSchedule(applicationState, oldConfig);
       applicationState.communication.sendConfig(
         JSON.parse(JSON.stringify(validatedConfig)),
       );
@@ -135,41 +227,126 @@ export function hookupCommunicationEvents(
         "Configuration saved successfully.",
       );
     });
-    socket?.on("getConfig", (cb) => {
-      cb(applicationState.config);
+    socket?.on("getCertificatePins", (cb) => {
+      cb(getServerPins(applicationState));
     });
-    socket?.on("listDir", async (path: unknown, cb: any) => {
-      const pathValidation = validatePath(path);
-      if (!pathValidation.isValid) {
+    socket?.on("getConnectionPoolStats", (cb) => {
+      cb(getConnectionPoolStats(applicationState.config));
+    });
+    socket?.on("trustCertificate", (pinKey: unknown, fingerprint: unknown) => {
+      if (
+        typeof pinKey !== "string" ||
+        !getServerPinKeys(applicationState).includes(pinKey)
+      ) {
         applicationState.communication.logError(
-          `Invalid path for listDir: ${pathValidation.error}`,
+          `No server ${String(pinKey)} is configured.`,
         );
-        if (cb) cb("", []);
         return;
       }
-
-      const info = await listDir(pathValidation.value!, applicationState);
-      if (info && cb) {
-        cb(pathValidation.value!, info);
+      const pin = certificatePins.get(pinKey);
+      // Only the certificate the server actually presented can be trusted.
+      if (
+        !pin?.rejectedFingerprint ||
+        pin.rejectedFingerprint !== fingerprint
+      ) {
+        applicationState.communication.logError(
+          `No rejected certificate with fingerprint ${String(fingerprint)} for ${pinKey}.`,
+        );
+        return;
       }
+      certificatePins.trust(pinKey, pin.rejectedFingerprint);
+      applicationState.communication.logInfo(
+        `Trusted new certificate of ${pinKey}: ${pin.rejectedFingerprint}`,
+      );
     });
-    socket?.on("checkDir", async (path: unknown, cb: any) => {
+    socket?.on("listDir", async (serverId: unknown, path: unknown, cb: any) => {
+      const serverIdValidation = validateServerId(serverId);
+      if (!serverIdValidation.isValid) {
+        applicationState.communication.logError(
+          `Invalid server for listDir: ${serverIdValidation.error}`,
+        );
+        if (cb) cb("", []);
+        return;
+      }
       const pathValidation = validatePath(path);
       if (!pathValidation.isValid) {
         applicationState.communication.logError(
-          `Invalid path for checkDir: ${pathValidation.error}`,
+          `Invalid path for listDir: ${pathValidation.error}`,
         );
-        if (cb) cb(false);
+        if (cb) cb("", []);
         return;
       }
 
-      if (cb) {
-        cb(await checkDir(pathValidation.value!, applicationState));
+      const info = await listDir(
+        serverIdValidation.value!,
+        pathValidation.value!,
+        applicationState,
+      );
+      if (info && cb) {
+        cb(pathValidation.value!, info);
       }
     });
+    socket?.on(
+      "listDirPage",
+      async (serverId: unknown, path: unknown, options: unknown, cb: any) => {
+        const serverIdValidation = validateServerId(serverId);
+        const pathValidation = validatePath(path);
+        const optionsValidation = validateListDirPageOptions(options);
+        const error = [serverIdValidation, pathValidation, optionsValidation]
+          .map((validation) => validation.error)
+          .find(Boolean);
+        if (error) {
+          applicationState.communication.logError(
+            `Invalid input for listDirPage: ${error}`,
+          );
+          if (cb) cb(null);
+          return;
+        }
+
+        const page = await listDirPage(
+          serverIdValidation.value!,
+          pathValidation.value!,
+          optionsValidation.value!,
+          applicationState,
+        );
+        if (cb) cb(page);
+      },
+    );
+    socket?.on(
+      "checkDir",
+      async (serverId: unknown, path: unknown, cb: any) => {
+        const serverIdValidation = validateServerId(serverId);
+        if (!serverIdValidation.isValid) {
+          applicationState.communication.logError(
+            `Invalid server for checkDir: ${serverIdValidation.error}`,
+          );
+          if (cb) cb(false);
+          return;
+        }
+        const pathValidation = validatePath(path);
+        if (!pathValidation.isValid) {
+          applicationState.communication.logError(
+            `Invalid path for checkDir: ${pathValidation.error}`,
+          );
+          if (cb) cb(false);
+          return;
+        }
+
+        if (cb) {
+          cb(
+            await checkDir(
+              serverIdValidation.value!,
+              pathValidation.value!,
+              applicationState,
+            ),
+          );
+        }
+      },
+    );
     socket?.on(
       "getRegexDebugInfo",
       async (
+        serverId: unknown,
         originFolder: unknown,
         fileRegex: unknown,
         fileRenameTemplate: unknown,
@@ -178,6 +355,7 @@ export function hookupCommunicationEvents(
       ) => {
         // Create input object from individual parameters
         const input = {
+          serverId,
           originFolder,
           fileRegex,
           fileRenameTemplate,
@@ -194,6 +372,7 @@ export function hookupCommunicationEvents(
         }
 
         const {
+          serverId: validServerId,
           originFolder: validOriginFolder,
           fileRegex: validFileRegex,
           fileRenameTemplate: validFileRenameTemplate,
@@ -202,6 +381,7 @@ export function hookupCommunicationEvents(
 
         try {
           const result = await getRegexDebugInfo(
+            validServerId,
             validOriginFolder,
             validFileRegex,
             validFileRenameTemplate,
@@ -246,5 +426,7 @@ export function hookupCommunicationEvents(
         cb(await checkLocalDir(pathValidation.value!));
       }
     });
+
+    socket?.emit("stateSnapshot", getStateSnapshot(applicationState));
   });
 }
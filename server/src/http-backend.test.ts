@@ -0,0 +1,150 @@
+// Simple tests to ensure WebDAV and HTML directory listings are parsed
+import { FileInfo } from "basic-ftp";
+import { parseDirectoryIndex, parseWebDavListing } from "./http-backend";
+
+function describe(fileInfo: FileInfo): string {
+  const parts = [
+    fileInfo.isDirectory ? "dir" : "file",
+    fileInfo.name,
+    String(fileInfo.size),
+  ];
+  if (fileInfo.modifiedAt) {
+    parts.push(fileInfo.modifiedAt.toISOString());
+  }
+  return parts.join(" ");
+}
+
+function check(description: string, actual: FileInfo[], expected: string[]) {
+  const described = actual.map(describe);
+  console.log(
+    `${description}:`,
+    JSON.stringify(described) === JSON.stringify(expected)
+      ? "✅ PASSED"
+      : `❌ FAILED: expected ${JSON.stringify(expected)}, got ${JSON.stringify(described)}`,
+  );
+}
+
+console.log("Testing WebDAV listings...");
+
+// As sent by Nextcloud for PROPFIND with Depth: 1.
+const multistatus = `<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">
+  <d:response>
+    <d:href>/remote.php/dav/files/me/Anime/</d:href>
+    <d:propstat>
+      <d:prop>
+        <d:getlastmodified>Tue, 14 Oct 2025 18:00:00 GMT</d:getlastmodified>
+        <d:resourcetype><d:collection/></d:resourcetype>
+      </d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>
+  <d:response>
+    <d:href>/remote.php/dav/files/me/Anime/Season%202/</d:href>
+    <d:propstat>
+      <d:prop>
+        <d:getlastmodified>Mon, 13 Oct 2025 08:30:00 GMT</d:getlastmodified>
+        <d:resourcetype><d:collection/></d:resourcetype>
+      </d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>
+  <d:response>
+    <d:href>/remote.php/dav/files/me/Anime/Show%20%26%20Co%20-%2001.mkv</d:href>
+    <d:propstat>
+      <d:prop>
+        <d:getlastmodified>Sun, 12 Oct 2025 20:15:00 GMT</d:getlastmodified>
+        <d:getcontentlength>734003200</d:getcontentlength>
+        <d:resourcetype/>
+      </d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>
+</d:multistatus>`;
+
+const webDavListing = parseWebDavListing(multistatus);
+check("PROPFIND multistatus", webDavListing, [
+  "dir Anime 0 2025-10-14T18:00:00.000Z",
+  "dir Season 2 0 2025-10-13T08:30:00.000Z",
+  "file Show & Co - 01.mkv 734003200 2025-10-12T20:15:00.000Z",
+]);
+console.log(
+  "Hrefs are kept:",
+  webDavListing[2].href ===
+    "/remote.php/dav/files/me/Anime/Show%20%26%20Co%20-%2001.mkv"
+    ? "✅ PASSED"
+    : `❌ FAILED: got ${webDavListing[2].href}`,
+);
+
+// Without a namespace prefix, as some servers send it.
+check(
+  "Default namespace",
+  parseWebDavListing(`<multistatus xmlns="DAV:">
+  <response>
+    <href>/dav/a.mkv</href>
+    <propstat><prop>
+      <getcontentlength>12</getcontentlength>
+      <getlastmodified>not a date</getlastmodified>
+    </prop></propstat>
+  </response>
+</multistatus>`),
+  ["file a.mkv 12"],
+);
+
+console.log("\nTesting HTML directory indexes...");
+
+const apacheIndex = `<!DOCTYPE HTML PUBLIC "-//W3C//DTD HTML 3.2 Final//EN">
+<html>
+ <head><title>Index of /anime</title></head>
+ <body>
+<h1>Index of /anime</h1>
+  <table>
+   <tr><th><a href="?C=N;O=D">Name</a></th><th><a href="?C=M;O=A">Last modified</a></th></tr>
+   <tr><td><a href="/">Parent Directory</a></td></tr>
+   <tr><td><a href="Season%202/">Season 2/</a></td><td>2025-10-13 08:30</td></tr>
+   <tr><td><a href="Show%20%26%20Co%20-%2001.mkv">Show &amp; Co - 01.mkv</a></td><td>2025-10-12 20:15</td></tr>
+  </table>
+</body></html>`;
+
+check("Apache autoindex", parseDirectoryIndex(apacheIndex, "/anime"), [
+  "dir Season 2 0",
+  "file Show & Co - 01.mkv 0",
+]);
+
+const nginxIndex = `<html>
+<head><title>Index of /anime/</title></head>
+<body>
+<h1>Index of /anime/</h1><hr><pre><a href="../">../</a>
+<a href="Season%202/">Season 2/</a>                                          13-Oct-2025 08:30       -
+<a href="Show%20-%2001.mkv">Show - 01.mkv</a>                                      12-Oct-2025 20:15    700M
+<a href="https://example.com/elsewhere.mkv">elsewhere.mkv</a>
+<a href="/other/file.mkv">file.mkv</a>
+<a href="Show%20-%2001.mkv">Show - 01.mkv</a>
+</pre><hr></body>
+</html>`;
+
+check("nginx autoindex", parseDirectoryIndex(nginxIndex, "/anime/"), [
+  "dir Season 2 0",
+  "file Show - 01.mkv 0",
+]);
+
+// One broken link must not break the whole listing.
+const brokenIndex = `<pre><a href="../">../</a>
+<a href="100%zz.mkv">100%zz.mkv</a>
+<a href="http://[broken/">broken</a>
+<a href="Show%20-%2002.mkv">Show - 02.mkv</a>
+</pre>`;
+
+check(
+  "Malformed links in an index",
+  parseDirectoryIndex(brokenIndex, "/anime"),
+  ["file 100%zz.mkv 0", "file Show - 02.mkv 0"],
+);
+check(
+  "Malformed hrefs in a multistatus",
+  parseWebDavListing(`<d:multistatus xmlns:d="DAV:">
+  <d:response><d:href>/dav/100%zz.mkv</d:href></d:response>
+  <d:response><d:href>/dav/b.mkv</d:href></d:response>
+</d:multistatus>`),
+  ["file 100%zz.mkv 0", "file b.mkv 0"],
+);
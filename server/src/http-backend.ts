@@ -0,0 +1,329 @@
+import { Transform, Writable } from "stream";
+import { pipeline } from "stream/promises";
+import axios, { AxiosInstance, AxiosResponse, isAxiosError } from "axios";
+import { FileInfo, FileType } from "basic-ftp";
+import { ServerConfig } from "@shared/types";
+import { SourceBackend } from "./source-backend";
+import { createProxyAgent } from "./proxy";
+
+const FTP_SERVICE_NOT_AVAILABLE = 421;
+const FTP_FILE_UNAVAILABLE = 550;
+
+// Statuses worth retrying, reported like the matching FTP condition.
+const TRANSIENT_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+const MISSING_HTTP_STATUSES = [404, 410];
+
+// HEAD requests that run at once when fetching sizes for an index page.
+const HEAD_CONCURRENCY = 4;
+
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:resourcetype/>
+    <d:getcontentlength/>
+    <d:getlastmodified/>
+  </d:prop>
+</d:propfind>`;
+
+export type HttpSourceMode = "webdav" | "http";
+
+/**
+ * Reads from a WebDAV share or a plain HTTP directory index (as generated by
+ * nginx' autoindex or Apache's mod_autoindex). Remote paths are URL paths on
+ * the server.
+ */
+export class HttpBackend implements SourceBackend {
+  private _client: AxiosInstance | null = null;
+  private _abortController = new AbortController();
+
+  constructor(private readonly _mode: HttpSourceMode) {}
+
+  async connect(server: ServerConfig): Promise<void> {
+    this.close();
+    // HTTP is stateless, so there is nothing to connect to up front.
+    this._abortController = new AbortController();
+    const proxyAgent = server.proxy
+      ? createProxyAgent(server.proxy)
+      : undefined;
+    this._client = axios.create({
+      baseURL: `${server.https === false ? "http" : "https"}://${server.host}:${server.port}`,
+      auth: server.user
+        ? { username: server.user, password: server.password }
+        : undefined,
+      signal: this._abortController.signal,
+      maxRedirects: 5,
+      // Proxy environment variables must not bypass the configured proxy.
+      ...(proxyAgent
+        ? { httpAgent: proxyAgent, httpsAgent: proxyAgent, proxy: false }
+        : {}),
+    });
+  }
+
+  async listDir(path: string): Promise<FileInfo[]> {
+    if (this._mode === "http") {
+      return await this._listIndex(path);
+    }
+    // The collection itself is part of the response.
+    const entries = await this._propfind(path, 1);
+    return entries.filter((entry) => !isSamePath(entry.href, path));
+  }
+
+  async cd(path: string): Promise<void> {
+    if (this._mode === "webdav") {
+      const [entry] = await this._propfind(path, 0);
+      if (entry?.type !== FileType.Directory) {
+        throw notFound(`"${path}" is not a directory.`);
+      }
+      return;
+    }
+    await this._request({ method: "HEAD", url: toDirectoryUrl(path) });
+  }
+
+  async size(path: string): Promise<number> {
+    const response = await this._request({
+      method: "HEAD",
+      url: encodePath(path),
+    });
+    return Number(response.headers["content-length"] ?? 0);
+  }
+
+  async download(
+    destination: Writable,
+    path: string,
+    startAt: number,
+  ): Promise<void> {
+    const response = await this._request({
+      method: "GET",
+      url: encodePath(path),
+      responseType: "stream",
+      headers: startAt > 0 ? { Range: `bytes=${startAt}-` } : {},
+    });
+    // Servers without range support send the whole file again.
+    if (startAt > 0 && response.status !== 206) {
+      await pipeline(response.data, skipBytes(startAt), destination);
+    } else {
+      await pipeline(response.data, destination);
+    }
+  }
+
+  close(): void {
+    this._client = null;
+    this._abortController.abort();
+  }
+
+  isClosed(): boolean {
+    return this._client === null;
+  }
+
+  private async _propfind(
+    path: string,
+    depth: 0 | 1,
+  ): Promise<(FileInfo & { href: string })[]> {
+    const response = await this._request({
+      method: "PROPFIND",
+      url: toDirectoryUrl(path),
+      headers: { Depth: String(depth), "Content-Type": "application/xml" },
+      data: PROPFIND_BODY,
+      responseType: "text",
+    });
+    return parseWebDavListing(String(response.data));
+  }
+
+  private async _listIndex(path: string): Promise<FileInfo[]> {
+    const response = await this._request({
+      method: "GET",
+      url: toDirectoryUrl(path),
+      responseType: "text",
+    });
+    const entries = parseDirectoryIndex(String(response.data), path);
+
+    // Index pages round sizes, downloads need the exact ones.
+    const files = entries.filter((entry) => entry.isFile);
+    for (let i = 0; i < files.length; i += HEAD_CONCURRENCY) {
+      await Promise.all(
+        files.slice(i, i + HEAD_CONCURRENCY).map(async (file) => {
+          const response = await this._request({
+            method: "HEAD",
+            url: encodePath(joinUrlPath(path, file.name)),
+          });
+          file.size = Number(response.headers["content-length"] ?? 0);
+          const lastModified = response.headers["last-modified"];
+          if (lastModified) {
+            setModifiedAt(file, String(lastModified));
+          }
+        }),
+      );
+    }
+    return entries;
+  }
+
+  // Reports errors like an FTP server would, callers rely on it.
+  private async _request(
+    config: Parameters<AxiosInstance["request"]>[0],
+  ): Promise<AxiosResponse> {
+    if (!this._client) {
+      throw new Error("Client is closed");
+    }
+    try {
+      return await this._client.request(config);
+    } catch (e) {
+      const status = isAxiosError(e) ? e.response?.status : undefined;
+      if (status && MISSING_HTTP_STATUSES.includes(status)) {
+        throw Object.assign(e as Error, { code: FTP_FILE_UNAVAILABLE });
+      }
+      if (status && TRANSIENT_HTTP_STATUSES.includes(status)) {
+        throw Object.assign(e as Error, { code: FTP_SERVICE_NOT_AVAILABLE });
+      }
+      throw e;
+    }
+  }
+}
+
+/**
+ * Parses a WebDAV multistatus response. Namespace prefixes differ between
+ * servers, so they are ignored.
+ */
+export function parseWebDavListing(
+  xml: string,
+): (FileInfo & { href: string })[] {
+  const responses = [
+    ...xml.matchAll(
+      /<(?:[\w-]+:)?response\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?response>/g,
+    ),
+  ];
+  return responses.map(([, response]) => {
+    const href = decodeXml(getXmlElement(response, "href") ?? "");
+    const fileInfo = Object.assign(new FileInfo(getLastPathSegment(href)), {
+      href,
+    });
+    fileInfo.type = /<(?:[\w-]+:)?collection\b/.test(response)
+      ? FileType.Directory
+      : FileType.File;
+    fileInfo.size = Number(getXmlElement(response, "getcontentlength") ?? 0);
+    const lastModified = getXmlElement(response, "getlastmodified");
+    if (lastModified) {
+      setModifiedAt(fileInfo, lastModified);
+    }
+    return fileInfo;
+  });
+}
+
+/**
+ * Parses the links of an HTML directory index. Only links to direct children
+ * of the listed directory are kept, which drops the parent link and the sort
+ * links. Sizes are left at 0, index pages only show rounded ones.
+ */
+export function parseDirectoryIndex(html: string, path: string): FileInfo[] {
+  const fileInfos = new Map<string, FileInfo>();
+  const directoryUrl = new URL(toDirectoryUrl(path), "http://index");
+
+  for (const [, rawHref] of html.matchAll(/<a\s[^>]*?href="([^"]+)"/gi)) {
+    const url = parseUrl(decodeXml(rawHref), directoryUrl);
+    if (!url || url.host !== directoryUrl.host || url.search) {
+      continue;
+    }
+    const isDirectory = url.pathname.endsWith("/");
+    const relative = url.pathname.slice(directoryUrl.pathname.length);
+    const name = decodeUrlPath(relative.replace(/\/$/, ""));
+    if (
+      !url.pathname.startsWith(directoryUrl.pathname) ||
+      !name ||
+      name.includes("/")
+    ) {
+      continue;
+    }
+
+    const fileInfo = new FileInfo(name);
+    fileInfo.type = isDirectory ? FileType.Directory : FileType.File;
+    fileInfos.set(name, fileInfo);
+  }
+
+  return [...fileInfos.values()];
+}
+
+function getXmlElement(xml: string, name: string): string | undefined {
+  return new RegExp(
+    `<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`,
+  )
+    .exec(xml)?.[1]
+    .trim();
+}
+
+function decodeXml(text: string): string {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function setModifiedAt(fileInfo: FileInfo, rawDate: string): void {
+  fileInfo.rawModifiedAt = rawDate;
+  const date = new Date(rawDate);
+  if (!isNaN(date.getTime())) {
+    fileInfo.modifiedAt = date;
+  }
+}
+
+function getLastPathSegment(href: string): string {
+  const pathname = new URL(href, "http://dav").pathname.replace(/\/$/, "");
+  return decodeUrlPath(pathname.slice(pathname.lastIndexOf("/") + 1));
+}
+
+function isSamePath(href: string, path: string): boolean {
+  const normalize = (p: string) =>
+    decodeUrlPath(new URL(p, "http://dav").pathname).replace(/\/+$/, "");
+  return normalize(href) === normalize(encodePath(path));
+}
+
+// A single badly escaped link must not break the whole listing. Its name is
+// taken as it is, which is what it most likely is on the server.
+function decodeUrlPath(text: string): string {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+function parseUrl(href: string, base: URL): URL | undefined {
+  try {
+    return new URL(href, base);
+  } catch {
+    return undefined;
+  }
+}
+
+function encodePath(path: string): string {
+  return path.split("/").map(encodeURIComponent).join("/");
+}
+
+function toDirectoryUrl(path: string): string {
+  const encoded = encodePath(path);
+  return encoded.endsWith("/") ? encoded : `${encoded}/`;
+}
+
+function joinUrlPath(base: string, name: string): string {
+  return `${base.replace(/\/+$/, "")}/${name}`;
+}
+
+function notFound(message: string): Error {
+  return Object.assign(new Error(message), { code: FTP_FILE_UNAVAILABLE });
+}
+
+function skipBytes(count: number): Transform {
+  let remaining = count;
+  return new Transform({
+    transform(chunk: Buffer, _encoding, callback) {
+      if (remaining >= chunk.length) {
+        remaining -= chunk.length;
+        callback();
+        return;
+      }
+      const rest = chunk.subarray(remaining);
+      remaining = 0;
+      callback(null, rest);
+    },
+  });
+}
@@ -8,7 +8,10 @@ import { join, dirname } from "path";
 import { fileURLToPath } from "url";
 import { init, cleanup } from "./init";
 import { WeebsyncPlugin } from "./plugin-system";
+import { DownloadHistory } from "./download-history";
+import { AutoSyncState } from "./scheduler";
 import { readFileSync } from "fs";
+import { authenticateSockets, registerAuthRoutes } from "./auth";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,17 +22,21 @@ export interface ApplicationState {
   syncInProgress: boolean;
   communication: Communication;
   plugins: WeebsyncPlugin[];
-  autoSyncIntervalHandler?: NodeJS.Timeout;
-  autoSyncTimerUpdateHandler?: NodeJS.Timeout;
+  downloadHistory: DownloadHistory;
+  autoSync?: AutoSyncState;
 }
 
 const server = Fastify({
   logger: true,
 });
-server.register(socketIoFastify, {
-  cors: { origin: "*" },
-  transports: ["websocket"],
-});
+server
+  .register(socketIoFastify, {
+    transports: ["websocket"],
+  })
+  .after(() => {
+    // Before listening, so no socket can connect unauthenticated.
+    authenticateSockets(server.io);
+  });
 // Determine client path based on environment
 interface ProcessWithPkg extends NodeJS.Process {
   pkg?: unknown;
@@ -121,6 +128,8 @@ if (!isPkg) {
   });
 }
 
+registerAuthRoutes(server);
+
 server.get("/health", function (_req, reply) {
   reply.send({ status: "ok", timestamp: new Date().toISOString() });
 });
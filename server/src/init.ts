@@ -3,10 +3,13 @@ import { setupTemplateHelper } from "./template";
 import { waitForCorrectConfig, watchConfigChanges } from "./config";
 import { FastifyInstance } from "fastify";
 import { Server } from "socket.io";
-import { syncFiles, toggleAutoSync } from "./sync";
+import { syncFiles } from "./sync";
+import { toggleAutoSync } from "./scheduler";
 import { hookupCommunicationEvents } from "./hookup-communication";
 import { ApplicationState } from "./index";
 import { initPluginSystem } from "./plugin-system";
+import { DownloadHistory } from "./download-history";
+import { createInitialUser } from "./auth";
 
 // Global application state for cleanup during shutdown
 let globalApplicationState: ApplicationState | undefined;
@@ -18,6 +21,12 @@ declare module "fastify" {
 }
 
 export async function init(server: FastifyInstance) {
+  try {
+    await createInitialUser();
+  } catch (e) {
+    server.log.error(e);
+  }
+
   const communication = new Communication(server.io, server.log);
 
   const applicationState = await setupApplication(communication);
@@ -48,6 +57,8 @@ export function cleanup(): void {
     toggleAutoSync(globalApplicationState, false);
     console.log("Stopped auto-sync intervals");
 
+    globalApplicationState.downloadHistory.flush();
+
     globalApplicationState = undefined;
   }
 }
@@ -59,10 +70,14 @@ async function setupApplication(
 
   const config = await waitForCorrectConfig(communication);
 
+  const downloadHistory = new DownloadHistory(communication);
+  downloadHistory.load();
+
   return {
     config,
     communication,
     plugins: [],
+    downloadHistory,
     configUpdateInProgress: false,
     syncInProgress: false,
   };
@@ -0,0 +1,83 @@
+import { FileInfo } from "basic-ftp";
+import { ServerConfig } from "@shared/types";
+
+const LISTING_TTL = 1000 * 60;
+const MAX_ENTRIES = 200;
+
+export interface CachedListing {
+  fileInfos: FileInfo[];
+  listedAt: Date;
+}
+
+interface CacheEntry extends CachedListing {
+  // Listings of a server are dropped as soon as its settings change.
+  serverFingerprint: string;
+}
+
+/**
+ * Remote directory listings for browsing, so opening a directory again
+ * doesn't take a connection away from the sync. Concurrent requests for the
+ * same directory share a single listing.
+ */
+export class ListingCache {
+  private readonly _entries = new Map<string, CacheEntry>();
+  private readonly _pending = new Map<string, Promise<CacheEntry>>();
+
+  async get(
+    server: ServerConfig,
+    path: string,
+    list: () => Promise<FileInfo[]>,
+    refresh = false,
+  ): Promise<CachedListing> {
+    const key = getKey(server.id, path);
+    const serverFingerprint = JSON.stringify(server);
+    const cached = this._entries.get(key);
+    if (
+      !refresh &&
+      cached &&
+      cached.serverFingerprint === serverFingerprint &&
+      Date.now() - cached.listedAt.getTime() < LISTING_TTL
+    ) {
+      return cached;
+    }
+
+    const pending = this._pending.get(key);
+    if (pending) {
+      return await pending;
+    }
+
+    const listing = list()
+      .then((fileInfos) => {
+        const entry = { fileInfos, listedAt: new Date(), serverFingerprint };
+        // Map keeps insertion order, so the first key is the oldest listing.
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        if (this._entries.size > MAX_ENTRIES) {
+          this._entries.delete(this._entries.keys().next().value!);
+        }
+        return entry;
+      })
+      .finally(() => this._pending.delete(key));
+    this._pending.set(key, listing);
+    return await listing;
+  }
+
+  clear(serverId?: string): void {
+    if (serverId === undefined) {
+      this._entries.clear();
+      return;
+    }
+    const prefix = getKey(serverId, "");
+    for (const key of this._entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this._entries.delete(key);
+      }
+    }
+  }
+}
+
+function getKey(serverId: string, path: string): string {
+  return `${serverId}\0${path}`;
+}
+
+export const listingCache = new ListingCache();
@@ -0,0 +1,72 @@
+// Simple tests to ensure LIST dates are parsed into the right UTC timestamps
+import { parseListingDate } from "./listing-dates";
+
+function check(
+  description: string,
+  raw: string,
+  timezoneOffsetMinutes: number,
+  now: Date,
+  expected: string | null,
+) {
+  const actual =
+    parseListingDate(raw, timezoneOffsetMinutes, now)?.date.toISOString() ??
+    null;
+  console.log(
+    `${description}:`,
+    actual === expected
+      ? "✅ PASSED"
+      : `❌ FAILED: expected ${expected}, got ${actual}`,
+  );
+}
+
+console.log("Testing listing dates...");
+
+const now = new Date("2025-10-15T12:00:00Z");
+
+check("Unix recent", "Oct 12 14:03", 0, now, "2025-10-12T14:03:00.000Z");
+check("Unix old", "Oct 12  2023", 0, now, "2023-10-12T00:00:00.000Z");
+check(
+  "Unix recent from last year",
+  "Dec 30 23:59",
+  0,
+  now,
+  "2024-12-30T23:59:00.000Z",
+);
+check(
+  "Unix recent slightly in the future",
+  "Oct 15 20:00",
+  0,
+  now,
+  "2025-10-15T20:00:00.000Z",
+);
+check("Server in UTC+2", "Oct 12 14:03", 120, now, "2025-10-12T12:03:00.000Z");
+check("Server in UTC-5", "Oct 12 2023", -300, now, "2023-10-12T05:00:00.000Z");
+check(
+  "Year boundary in server time",
+  "Jan  1 00:30",
+  120,
+  new Date("2024-12-31T23:00:00Z"),
+  "2024-12-31T22:30:00.000Z",
+);
+check("DOS afternoon", "10-12-25 02:03PM", 0, now, "2025-10-12T14:03:00.000Z");
+check("DOS midnight", "10-12-25 12:10AM", 0, now, "2025-10-12T00:10:00.000Z");
+check("DOS 24 hours", "10-12-2025 14:03", 0, now, "2025-10-12T14:03:00.000Z");
+check(
+  "ISO with seconds",
+  "2025-10-12 14:03:59",
+  60,
+  now,
+  "2025-10-12T13:03:59.000Z",
+);
+check("Unknown month", "Foo 12 14:03", 0, now, null);
+check("Unknown format", "yesterday", 0, now, null);
+
+console.log("\nTesting precision...");
+
+const precision = (raw: string) => parseListingDate(raw, 0, now)?.precision;
+console.log(
+  "Day precision for old Unix dates:",
+  precision("Oct 12 2023") === "day" && precision("Oct 12 14:03") === "minute"
+    ? "✅ PASSED"
+    : "❌ FAILED",
+);
@@ -0,0 +1,122 @@
+import { FileInfo } from "basic-ftp";
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+const MINUTE = 1000 * 60;
+const DAY = MINUTE * 60 * 24;
+
+export interface ListingDate {
+  date: Date;
+  /** Unix listings only show the day for files older than about 6 months. */
+  precision: "day" | "minute" | "second";
+}
+
+/**
+ * Parses the date of a `LIST` line as basic-ftp leaves it in
+ * `rawModifiedAt`. These dates are in the server's local time, which is
+ * turned into UTC with the given offset (minutes east of UTC).
+ *
+ * Supported are Unix ("Oct 12 14:03", "Oct 12 2025"), DOS/IIS
+ * ("10-12-25 02:03PM") and ISO-like ("2025-10-12 14:03:59") dates. Returns
+ * null for anything else.
+ */
+export function parseListingDate(
+  raw: string,
+  timezoneOffsetMinutes: number = 0,
+  now: Date = new Date(),
+): ListingDate | null {
+  const text = raw.trim().replace(/\s+/g, " ");
+  const toUtc = (wallTime: number) =>
+    new Date(wallTime - timezoneOffsetMinutes * MINUTE);
+
+  const unixRecent = /^([a-z]{3}) (\d{1,2}) (\d{1,2}):(\d{2})$/i.exec(text);
+  if (unixRecent) {
+    const month = getMonth(unixRecent[1]);
+    if (month === -1) {
+      return null;
+    }
+    // The year is left out for recent files, which may also be a bit in the
+    // future if the clocks differ.
+    const serverNow = new Date(now.getTime() + timezoneOffsetMinutes * MINUTE);
+    const [day, hours, minutes] = unixRecent.slice(2).map(Number);
+    let year = serverNow.getUTCFullYear();
+    let wallTime = Date.UTC(year, month, day, hours, minutes);
+    if (wallTime > serverNow.getTime() + DAY) {
+      year--;
+      wallTime = Date.UTC(year, month, day, hours, minutes);
+    }
+    return { date: toUtc(wallTime), precision: "minute" };
+  }
+
+  const unixOld = /^([a-z]{3}) (\d{1,2}) (\d{4})$/i.exec(text);
+  if (unixOld) {
+    const month = getMonth(unixOld[1]);
+    if (month === -1) {
+      return null;
+    }
+    return {
+      date: toUtc(Date.UTC(Number(unixOld[3]), month, Number(unixOld[2]))),
+      precision: "day",
+    };
+  }
+
+  const dos =
+    /^(\d{2})-(\d{2})-(\d{2}|\d{4}) (\d{1,2}):(\d{2}) ?([ap]m)?$/i.exec(text);
+  if (dos) {
+    const [month, day, rawYear, rawHours, minutes] = dos
+      .slice(1, 6)
+      .map(Number);
+    const year =
+      dos[3].length === 4 ? rawYear : rawYear + (rawYear < 70 ? 2000 : 1900);
+    const meridiem = dos[6]?.toLowerCase();
+    const hours =
+      meridiem === undefined
+        ? rawHours
+        : (rawHours % 12) + (meridiem === "pm" ? 12 : 0);
+    return {
+      date: toUtc(Date.UTC(year, month - 1, day, hours, minutes)),
+      precision: "minute",
+    };
+  }
+
+  const iso =
+    /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(text);
+  if (iso) {
+    const [year, month, day, hours, minutes] = iso.slice(1, 6).map(Number);
+    const seconds = Number(iso[6] ?? 0);
+    return {
+      date: toUtc(Date.UTC(year, month - 1, day, hours, minutes, seconds)),
+      precision: iso[6] === undefined ? "minute" : "second",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Whether the listing date of the file is too vague to tell it apart from
+ * files changed on the same day.
+ */
+export function needsExactDate(fileInfo: FileInfo): boolean {
+  return (
+    !fileInfo.modifiedAt ||
+    parseListingDate(fileInfo.rawModifiedAt)?.precision === "day"
+  );
+}
+
+function getMonth(name: string): number {
+  return MONTHS.indexOf(name.toLowerCase());
+}
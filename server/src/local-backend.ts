@@ -0,0 +1,119 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import { dirname, join } from "path";
+import { Writable } from "stream";
+import { pipeline } from "stream/promises";
+import { FileInfo, FileType } from "basic-ftp";
+import { SourceBackend } from "./source-backend";
+
+const FTP_FILE_UNAVAILABLE = 550;
+
+// Reasons a hard link can't be made, copying still works in these cases.
+const LINK_UNSUPPORTED_CODES = ["EXDEV", "EPERM", "ENOTSUP", "EMLINK"];
+
+/**
+ * Reads from the local filesystem, e.g. an rclone or SMB mount. Remote paths
+ * are absolute local paths. Files on the same device as the destination are
+ * hard-linked instead of copied.
+ */
+export class LocalBackend implements SourceBackend {
+  private _closed = true;
+
+  async connect(): Promise<void> {
+    this._closed = false;
+  }
+
+  async listDir(path: string): Promise<FileInfo[]> {
+    const entries = await this._withErrorCodes(() =>
+      fs.readdir(path, { withFileTypes: true }),
+    );
+    const fileInfos: FileInfo[] = [];
+    for (const entry of entries) {
+      const fileInfo = new FileInfo(entry.name);
+      try {
+        // Follows symlinks, mounts often consist of them.
+        const stats = await fs.stat(join(path, entry.name));
+        fileInfo.type = stats.isDirectory()
+          ? FileType.Directory
+          : FileType.File;
+        fileInfo.size = stats.size;
+        fileInfo.modifiedAt = stats.mtime;
+        fileInfo.rawModifiedAt = stats.mtime.toISOString();
+      } catch {
+        // Broken symlinks and the like can't be synced anyway.
+        continue;
+      }
+      fileInfos.push(fileInfo);
+    }
+    return fileInfos;
+  }
+
+  async cd(path: string): Promise<void> {
+    const stats = await this._withErrorCodes(() => fs.stat(path));
+    if (!stats.isDirectory()) {
+      throw Object.assign(new Error(`"${path}" is not a directory.`), {
+        code: FTP_FILE_UNAVAILABLE,
+      });
+    }
+  }
+
+  async size(path: string): Promise<number> {
+    const stats = await this._withErrorCodes(() => fs.stat(path));
+    return stats.size;
+  }
+
+  async download(
+    destination: Writable,
+    path: string,
+    startAt: number,
+  ): Promise<void> {
+    await this._withErrorCodes(() =>
+      pipeline(createReadStream(path, { start: startAt }), destination),
+    );
+  }
+
+  async link(path: string, localFile: string): Promise<boolean> {
+    const [source, target] = await Promise.all([
+      this._withErrorCodes(() => fs.stat(path)),
+      fs.stat(dirname(localFile)),
+    ]);
+    if (source.dev !== target.dev) {
+      return false;
+    }
+
+    // Linking next to the file and renaming replaces an old version at once.
+    const linkFile = `${localFile}.link`;
+    await fs.rm(linkFile, { force: true });
+    try {
+      await fs.link(path, linkFile);
+    } catch (e) {
+      const code = (e as { code?: unknown }).code;
+      if (typeof code === "string" && LINK_UNSUPPORTED_CODES.includes(code)) {
+        return false;
+      }
+      throw e;
+    }
+    await fs.rename(linkFile, localFile);
+    return true;
+  }
+
+  close(): void {
+    this._closed = true;
+  }
+
+  isClosed(): boolean {
+    return this._closed;
+  }
+
+  // Report missing files like an FTP server would, callers rely on it.
+  private async _withErrorCodes<T>(action: () => Promise<T>): Promise<T> {
+    try {
+      return await action();
+    } catch (e) {
+      if (e instanceof Error && (e as { code?: unknown }).code === "ENOENT") {
+        throw Object.assign(e, { code: FTP_FILE_UNAVAILABLE });
+      }
+      throw e;
+    }
+  }
+}
@@ -0,0 +1,89 @@
+// Simple tests to ensure only expired trash folders are emptied
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { SyncMap } from "@shared/types";
+import { Communication } from "./communication";
+import { purgeTrash, TRASH_FOLDER_NAME } from "./mirror";
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date("2025-10-15T12:00:00.000Z");
+
+const communication = {
+  logInfo: () => {},
+  logError: (content: string) => console.log(`❌ FAILED: ${content}`),
+} as unknown as Communication;
+
+const syncMap = {
+  id: "test",
+  trashRetentionDays: 30,
+} as SyncMap;
+
+function trashFolderName(date: Date): string {
+  return date.toISOString().replace(/:/g, "-");
+}
+
+function check(description: string, filePath: string, shouldExist: boolean) {
+  const exists = fs.existsSync(filePath);
+  console.log(
+    `${description}:`,
+    exists === shouldExist
+      ? "✅ PASSED"
+      : `❌ FAILED: expected "${filePath}" to be ${shouldExist ? "kept" : "deleted"}`,
+  );
+}
+
+console.log("Testing trash purging...");
+
+const localFolder = fs.mkdtempSync(path.join(os.tmpdir(), "weebsync-mirror-"));
+const trashRoot = path.join(localFolder, TRASH_FOLDER_NAME);
+const expired = path.join(
+  trashRoot,
+  trashFolderName(new Date(now.getTime() - 40 * DAY)),
+);
+const atCutoff = path.join(
+  trashRoot,
+  trashFolderName(new Date(now.getTime() - 30 * DAY)),
+);
+const recent = path.join(
+  trashRoot,
+  trashFolderName(new Date(now.getTime() - 29 * DAY)),
+);
+const notTrash = path.join(trashRoot, "my notes");
+const strayFile = path.join(trashRoot, "readme.txt");
+const episode = path.join(localFolder, "Show - 01.mkv");
+
+for (const folder of [expired, atCutoff, recent, notTrash]) {
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(path.join(folder, "Show - 01.mkv"), "episode");
+}
+fs.writeFileSync(strayFile, "stray");
+fs.writeFileSync(episode, "episode");
+
+try {
+  purgeTrash(syncMap, localFolder, communication, now);
+
+  check("Trash older than the retention is emptied", expired, false);
+  check("Trash exactly at the cut-off is emptied", atCutoff, false);
+  check("Recent trash is kept", recent, true);
+  check("Folders not named like trash are kept", notTrash, true);
+  check("Files in the trash root are kept", strayFile, true);
+  check("Files outside of the trash are kept", episode, true);
+
+  purgeTrash(
+    { ...syncMap, trashRetentionDays: 1 },
+    localFolder,
+    communication,
+    now,
+  );
+  check("Shorter retention empties more", recent, false);
+
+  const emptyFolder = fs.mkdtempSync(
+    path.join(os.tmpdir(), "weebsync-mirror-"),
+  );
+  purgeTrash(syncMap, emptyFolder, communication, now);
+  check("Nothing to do without a trash", emptyFolder, true);
+  fs.rmSync(emptyFolder, { recursive: true, force: true });
+} finally {
+  fs.rmSync(localFolder, { recursive: true, force: true });
+}
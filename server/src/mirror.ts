@@ -0,0 +1,154 @@
+import fs from "fs";
+import path from "path";
+import { SyncMap } from "@shared/types";
+import { Communication } from "./communication";
+import { DownloadHistory, DownloadHistoryEntry } from "./download-history";
+
+export const TRASH_FOLDER_NAME = ".weebsync-trash";
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Returns the files weebsync downloaded for a sync map earlier that are gone
+ * from the remote now. Files that are still the target of a remote file (e.g.
+ * a new release renamed to the same local name) are kept.
+ */
+export function getMirrorRemovals(
+  syncMap: SyncMap,
+  remotePaths: Set<string>,
+  localTargets: Set<string>,
+  downloadHistory: DownloadHistory,
+): DownloadHistoryEntry[] {
+  if (!syncMap.mirrorPolicy || syncMap.mirrorPolicy === "off") {
+    return [];
+  }
+
+  return downloadHistory
+    .entriesForSyncMap(syncMap.id)
+    .filter(
+      (entry) =>
+        !remotePaths.has(entry.remotePath) &&
+        !localTargets.has(entry.localPath) &&
+        fs.existsSync(entry.localPath),
+    );
+}
+
+export function applyMirrorRemovals(
+  syncMap: SyncMap,
+  removals: DownloadHistoryEntry[],
+  localFolder: string,
+  downloadHistory: DownloadHistory,
+  communication: Communication,
+): void {
+  const trashFolder = path.join(
+    localFolder,
+    TRASH_FOLDER_NAME,
+    new Date().toISOString().replace(/:/g, "-"),
+  );
+
+  for (const entry of removals) {
+    try {
+      // Only touch files that are still exactly what we downloaded.
+      const stats = fs.statSync(entry.localPath);
+      if (stats.size !== entry.remoteSize) {
+        communication.logWarning(
+          `"${entry.localPath}" was removed on the remote but changed locally, keeping it.`,
+        );
+        continue;
+      }
+
+      if (syncMap.mirrorPolicy === "trash") {
+        const trashPath = path.join(
+          trashFolder,
+          getTrashRelativePath(entry.localPath, localFolder),
+        );
+        fs.mkdirSync(path.dirname(trashPath), { recursive: true });
+        fs.renameSync(entry.localPath, trashPath);
+        communication.logInfo(
+          `"${entry.remotePath}" was removed on the remote, moved "${entry.localPath}" to the trash.`,
+        );
+      } else {
+        fs.unlinkSync(entry.localPath);
+        communication.logInfo(
+          `"${entry.remotePath}" was removed on the remote, deleted "${entry.localPath}".`,
+        );
+      }
+
+      downloadHistory.recordRemoval(entry, "mirror");
+      removeEmptyParentFolders(entry.localPath, localFolder);
+    } catch (e) {
+      communication.logError(
+        `Could not remove "${entry.localPath}": ${e instanceof Error ? e.message : String(e)}`,
+      );
+    }
+  }
+}
+
+/**
+ * Deletes trash folders of a sync map that are older than its retention
+ * period.
+ */
+export function purgeTrash(
+  syncMap: SyncMap,
+  localFolder: string,
+  communication: Communication,
+  now: Date = new Date(),
+): void {
+  const trashRoot = path.join(localFolder, TRASH_FOLDER_NAME);
+  if (!fs.existsSync(trashRoot)) {
+    return;
+  }
+
+  const retentionDays =
+    syncMap.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+  const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+
+  for (const name of fs.readdirSync(trashRoot)) {
+    const trashedAt = parseTrashFolderName(name);
+    if (trashedAt === null || trashedAt > cutoff) {
+      continue;
+    }
+
+    try {
+      fs.rmSync(path.join(trashRoot, name), { recursive: true, force: true });
+      communication.logInfo(
+        `Emptied trash of "${syncMap.id}" from ${new Date(trashedAt).toISOString()}.`,
+      );
+    } catch (e) {
+      communication.logError(
+        `Could not empty trash folder "${name}": ${e instanceof Error ? e.message : String(e)}`,
+      );
+    }
+  }
+}
+
+function getTrashRelativePath(localPath: string, localFolder: string): string {
+  const relativePath = path.relative(localFolder, localPath);
+  // Rename templates may place files outside of the destination folder.
+  return relativePath.startsWith("..") || path.isAbsolute(relativePath)
+    ? path.basename(localPath)
+    : relativePath;
+}
+
+function parseTrashFolderName(name: string): number | null {
+  const isoDate = name.replace(
+    /^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2}(\.\d+)?Z)$/,
+    "$1:$2:$3",
+  );
+  const time = Date.parse(isoDate);
+  return isoDate === name || isNaN(time) ? null : time;
+}
+
+export function removeEmptyParentFolders(
+  filePath: string,
+  localFolder: string,
+): void {
+  const root = path.resolve(localFolder);
+  let folder = path.dirname(path.resolve(filePath));
+  while (folder.startsWith(root + path.sep)) {
+    if (fs.readdirSync(folder).length > 0) {
+      return;
+    }
+    fs.rmdirSync(folder);
+    folder = path.dirname(folder);
+  }
+}
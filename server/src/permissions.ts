@@ -0,0 +1,40 @@
+import { ClientToServerEvents, UserRole } from "@shared/types";
+
+/**
+ * The role a socket event needs at least. Viewers may watch syncs and browse
+ * servers; changing anything, starting syncs and looking at local folders is
+ * left to admins.
+ */
+const EVENT_ROLES: Record<keyof ClientToServerEvents, UserRole> = {
+  getVersion: "viewer",
+  getLatestVersion: "viewer",
+  getPlugins: "admin",
+  sendPluginConfig: "admin",
+  listDir: "viewer",
+  listDirPage: "viewer",
+  checkDir: "viewer",
+  listLocalDir: "admin",
+  checkLocalDir: "admin",
+  config: "admin",
+  sync: "admin",
+  stopSync: "admin",
+  getSyncPlan: "admin",
+  getCertificatePins: "viewer",
+  trustCertificate: "admin",
+  getConnectionPoolStats: "viewer",
+  getRegexDebugInfo: "admin",
+};
+
+// Events plugins handle themselves. Unknown ones are for admins only.
+const PLUGIN_EVENT_ROLES: Record<string, UserRole> = {
+  getFtpViewComponents: "viewer",
+  listDirWithAnimeMetadata: "viewer",
+};
+
+const eventRoles = new Map<string, UserRole>(
+  Object.entries({ ...PLUGIN_EVENT_ROLES, ...EVENT_ROLES }),
+);
+
+export function isEventAllowed(role: UserRole, event: string): boolean {
+  return role === "admin" || eventRoles.get(event) === "viewer";
+}
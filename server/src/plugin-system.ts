@@ -11,14 +11,17 @@ import { ApplicationState } from "./index";
 import extract from "extract-zip";
 import axios, { AxiosInstance, CreateAxiosDefaults } from "axios";
 import { Communication } from "./communication";
-import { WeebsyncPluginBaseInfo } from "@shared/types";
-import { CONFIG_FILE_DIR } from "./config";
+import { ListDirPage, WeebsyncPluginBaseInfo } from "@shared/types";
+import { CONFIG_FILE_DIR, getServerConfig } from "./config";
+import { createProxyAgent } from "./proxy";
 import { fileURLToPath } from "url";
 import { dirname, join, resolve } from "path";
 import {
   listDir as serverListDir,
+  listDirPage as serverListDirPage,
   checkDir as serverCheckDir,
 } from "./actions.js";
+import { validateListDirPageOptions } from "./validation";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -109,13 +112,24 @@ interface WeebsyncApi {
   applicationState: ApplicationState;
   communication: Communication;
   thisPluginDirectory: string;
-  getAxiosInstance: (config?: CreateAxiosDefaults) => Promise<AxiosInstance>;
+  /** Uses the proxy of the server, without a server id of the first one. */
+  getAxiosInstance: (
+    config?: CreateAxiosDefaults,
+    serverId?: string,
+  ) => Promise<AxiosInstance>;
   downloadPluginResourceZipAndUnzip: (
     directoryPath: string,
     url: string,
   ) => Promise<void>;
-  listDir: (path: string) => Promise<any>;
-  checkDir: (path: string) => Promise<boolean>;
+  /** Without a server id the first configured server is used. */
+  listDir: (path: string, serverId?: string) => Promise<any>;
+  /** Options as sent by the browser, they are validated here. */
+  listDirPage: (
+    path: string,
+    options: unknown,
+    serverId?: string,
+  ) => Promise<ListDirPage | null>;
+  checkDir: (path: string, serverId?: string) => Promise<boolean>;
 }
 
 async function downloadPluginResourceZipAndUnzip(
@@ -139,22 +153,68 @@ async function downloadPluginResourceZipAndUnzip(
   rmSync(tmpZipPath);
 }
 
-async function getAxiosInstance(config?: CreateAxiosDefaults) {
-  return Promise.resolve(axios.create(config ?? {}));
+async function createAxiosInstanceFactory(applicationState: ApplicationState) {
+  return async (config?: CreateAxiosDefaults, serverId?: string) => {
+    const server = getServerConfig(
+      applicationState.config,
+      serverId ?? getDefaultServerId(applicationState),
+    );
+    if (!server?.proxy) {
+      return axios.create(config ?? {});
+    }
+    const proxyAgent = createProxyAgent(server.proxy);
+    return axios.create({
+      httpAgent: proxyAgent,
+      httpsAgent: proxyAgent,
+      proxy: false,
+      ...config,
+    });
+  };
 }
 
 async function createListDirWrapper(applicationState: ApplicationState) {
-  return async (path: string) => {
-    return await serverListDir(path, applicationState);
+  return async (path: string, serverId?: string) => {
+    return await serverListDir(
+      serverId ?? getDefaultServerId(applicationState),
+      path,
+      applicationState,
+    );
+  };
+}
+
+async function createListDirPageWrapper(applicationState: ApplicationState) {
+  return async (path: string, options: unknown, serverId?: string) => {
+    const validation = validateListDirPageOptions(options);
+    if (!validation.isValid) {
+      applicationState.communication.logError(
+        `Invalid input for listDirPage: ${validation.error}`,
+      );
+      return null;
+    }
+    return await serverListDirPage(
+      serverId ?? getDefaultServerId(applicationState),
+      path,
+      validation.value!,
+      applicationState,
+    );
   };
 }
 
 async function createCheckDirWrapper(applicationState: ApplicationState) {
-  return async (path: string) => {
-    return await serverCheckDir(path, applicationState);
+  return async (path: string, serverId?: string) => {
+    return await serverCheckDir(
+      serverId ?? getDefaultServerId(applicationState),
+      path,
+      applicationState,
+    );
   };
 }
 
+// Plugins were written for a single server, so they get the first one.
+function getDefaultServerId(applicationState: ApplicationState): string {
+  return applicationState.config.servers[0]?.id ?? "";
+}
+
 async function loadOrCreatePluginConfiguration(
   plugin: WeebsyncPlugin,
 ): Promise<WeebsyncPlugin["config"]> {
@@ -225,10 +285,11 @@ async function loadPlugin(
     pluginApis[plugin.name] = {
       applicationState,
       communication: applicationState.communication,
-      getAxiosInstance,
+      getAxiosInstance: await createAxiosInstanceFactory(applicationState),
       downloadPluginResourceZipAndUnzip,
       thisPluginDirectory,
       listDir: await createListDirWrapper(applicationState),
+      listDirPage: await createListDirPageWrapper(applicationState),
       checkDir: await createCheckDirWrapper(applicationState),
     };
     await plugin.register(pluginApis[plugin.name]);
@@ -0,0 +1,115 @@
+import net, { Socket } from "net";
+import { Agent } from "http";
+import { SocksClient } from "socks";
+import { SocksProxyAgent } from "socks-proxy-agent";
+import { HttpsProxyAgent } from "https-proxy-agent";
+import { ProxyConfig } from "@shared/types";
+
+const PROXY_TIMEOUT = 1000 * 30;
+
+/**
+ * Opens a TCP connection to the destination through the proxy. Host names
+ * are resolved by the proxy, the network may not allow DNS lookups either.
+ */
+export async function connectThroughProxy(
+  proxy: ProxyConfig,
+  host: string,
+  port: number,
+): Promise<Socket> {
+  if (proxy.type === "socks5") {
+    const { socket } = await SocksClient.createConnection({
+      proxy: {
+        host: proxy.host,
+        port: proxy.port,
+        type: 5,
+        userId: proxy.user || undefined,
+        password: proxy.password || undefined,
+      },
+      command: "connect",
+      destination: { host, port },
+      timeout: PROXY_TIMEOUT,
+    });
+    return socket;
+  }
+  return await connectThroughHttpProxy(proxy, host, port);
+}
+
+/**
+ * Agent for HTTP clients, to be used for both http and https requests.
+ */
+export function createProxyAgent(proxy: ProxyConfig): Agent {
+  const url = getProxyUrl(proxy);
+  return proxy.type === "socks5"
+    ? new SocksProxyAgent(url, { timeout: PROXY_TIMEOUT })
+    : new HttpsProxyAgent(url, { timeout: PROXY_TIMEOUT });
+}
+
+function getProxyUrl(proxy: ProxyConfig): string {
+  // socks5h lets the proxy resolve host names.
+  const url = new URL(
+    `${proxy.type === "socks5" ? "socks5h" : "http"}://${proxy.host}:${proxy.port}`,
+  );
+  url.username = proxy.user;
+  url.password = proxy.password;
+  return url.toString();
+}
+
+function connectThroughHttpProxy(
+  proxy: ProxyConfig,
+  host: string,
+  port: number,
+): Promise<Socket> {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(proxy.port, proxy.host);
+    const fail = (err: Error) => {
+      socket.destroy();
+      reject(
+        new Error(`HTTP proxy ${proxy.host}:${proxy.port}: ${err.message}`),
+      );
+    };
+    socket.setTimeout(PROXY_TIMEOUT, () => fail(new Error("Timed out")));
+    socket.once("error", fail);
+
+    let response = "";
+    // Read in paused mode, so data following the headers stays buffered
+    // until the caller starts listening.
+    const onReadable = () => {
+      let chunk: Buffer | null;
+      while ((chunk = socket.read() as Buffer | null) !== null) {
+        response += chunk.toString("latin1");
+        const headerEnd = response.indexOf("\r\n\r\n");
+        if (headerEnd === -1) {
+          continue;
+        }
+        socket.off("readable", onReadable);
+        const status = /^HTTP\/1\.[01] (\d{3})/.exec(response)?.[1];
+        if (status !== "200") {
+          fail(new Error(`CONNECT refused: ${response.split("\r\n")[0]}`));
+          return;
+        }
+        // Whatever followed the headers already belongs to the tunnel.
+        const rest = Buffer.from(response.slice(headerEnd + 4), "latin1");
+        if (rest.length > 0) {
+          socket.unshift(rest);
+        }
+        socket.setTimeout(0);
+        socket.off("error", fail);
+        resolve(socket);
+        return;
+      }
+    };
+    socket.on("readable", onReadable);
+
+    socket.once("connect", () => {
+      const target = `${host.includes(":") ? `[${host}]` : host}:${port}`;
+      const headers = [`CONNECT ${target} HTTP/1.1`, `Host: ${target}`];
+      if (proxy.user) {
+        const credentials = Buffer.from(
+          `${proxy.user}:${proxy.password}`,
+        ).toString("base64");
+        headers.push(`Proxy-Authorization: Basic ${credentials}`);
+      }
+      socket.write(`${headers.join("\r\n")}\r\n\r\n`);
+    });
+  });
+}
@@ -0,0 +1,152 @@
+// Simple tests to ensure retention rules only pick the right downloaded files
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { SyncMap } from "@shared/types";
+import { Communication } from "./communication";
+import { DownloadHistory, DownloadHistoryEntry } from "./download-history";
+import { TRASH_FOLDER_NAME } from "./mirror";
+import { getRetentionRemovals } from "./retention";
+
+const DAY = 24 * 60 * 60 * 1000;
+const GIB = 1024 * 1024 * 1024;
+const now = new Date("2025-10-15T12:00:00.000Z");
+
+const communication = {
+  logError: (content: string) => console.log(`❌ FAILED: ${content}`),
+} as unknown as Communication;
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), "weebsync-retention-"));
+
+function daysAgo(days: number): string {
+  return new Date(now.getTime() - days * DAY).toISOString();
+}
+
+/**
+ * Creates the local file and a history entry for it, released and
+ * downloaded the given number of days ago.
+ */
+function download(
+  name: string,
+  releasedDaysAgo: number,
+  downloadedDaysAgo = releasedDaysAgo,
+): DownloadHistoryEntry {
+  const localPath = path.join(folder, name);
+  fs.writeFileSync(localPath, name);
+  return {
+    syncMapId: "test",
+    remotePath: `/remote/${name}`,
+    remoteSize: name.length,
+    remoteDate: daysAgo(releasedDaysAgo),
+    localPath,
+    downloadedAt: daysAgo(downloadedDaysAgo),
+  };
+}
+
+function createHistory(entries: DownloadHistoryEntry[]): DownloadHistory {
+  // Next to the folder, so it doesn't count towards its size.
+  const historyPath = `${folder}.history.json`;
+  fs.writeFileSync(historyPath, JSON.stringify({ version: 1, entries }));
+  const history = new DownloadHistory(communication, historyPath);
+  history.load();
+  return history;
+}
+
+function check(
+  description: string,
+  retention: SyncMap["retention"],
+  history: DownloadHistory,
+  expected: string[],
+) {
+  const syncMap = { id: "test", retention } as SyncMap;
+  const removed = getRetentionRemovals(syncMap, folder, history, now)
+    .map((file) => path.basename(file.localPath))
+    .sort();
+  console.log(
+    `${description}:`,
+    JSON.stringify(removed) === JSON.stringify([...expected].sort())
+      ? "✅ PASSED"
+      : `❌ FAILED: expected ${JSON.stringify(expected)}, got ${JSON.stringify(removed)}`,
+  );
+}
+
+console.log("Testing retention rules...");
+
+try {
+  const episodes = [
+    download("01.mkv", 40),
+    download("02.mkv", 20),
+    // Downloaded late, so it's old by release but new on disk.
+    download("03.mkv", 15, 2),
+    download("04.mkv", 10),
+    download("05.mkv", 1),
+  ];
+  // Not downloaded by weebsync, so no rule may ever touch it.
+  fs.writeFileSync(path.join(folder, "00.mkv"), "mine");
+  fs.mkdirSync(path.join(folder, "extras"));
+  fs.writeFileSync(path.join(folder, "extras", "op.mkv"), "op");
+  // The trash empties itself, it doesn't count towards the size.
+  fs.mkdirSync(path.join(folder, TRASH_FOLDER_NAME, "old"), {
+    recursive: true,
+  });
+  fs.writeFileSync(
+    path.join(folder, TRASH_FOLDER_NAME, "old", "big.mkv"),
+    "x".repeat(100),
+  );
+  const history = createHistory(episodes);
+
+  check("No rules", {}, history, []);
+  check("Keep the newest 2", { keepNewest: 2 }, history, [
+    "01.mkv",
+    "02.mkv",
+    "03.mkv",
+  ]);
+  check("Keep more than there are", { keepNewest: 10 }, history, []);
+  check("Older than 15 days by download", { maxAgeDays: 15 }, history, [
+    "01.mkv",
+    "02.mkv",
+  ]);
+  check("Exactly at the age cut-off is kept", { maxAgeDays: 20 }, history, [
+    "01.mkv",
+  ]);
+  // Each episode takes 6 bytes, the files already there 6 more.
+  check(
+    "Size cap counts files already in the folder",
+    { maxSizeGB: 30 / GIB },
+    history,
+    ["01.mkv"],
+  );
+  check("Size cap removes the oldest", { maxSizeGB: 20 / GIB }, history, [
+    "01.mkv",
+    "02.mkv",
+    "03.mkv",
+  ]);
+  check("Both rules together", { keepNewest: 4, maxAgeDays: 30 }, history, [
+    "01.mkv",
+  ]);
+
+  // Removed files and files that are gone locally don't count.
+  fs.rmSync(episodes[4].localPath);
+  const removedHistory = createHistory([
+    ...episodes,
+    { ...episodes[3], removedAt: daysAgo(1), removalReason: "mirror" },
+  ]);
+  check(
+    "Without removed and missing files",
+    { keepNewest: 2 },
+    removedHistory,
+    ["01.mkv"],
+  );
+
+  // Unparsable release dates fall back to the download time.
+  const rawDateHistory = createHistory([
+    { ...download("06.mkv", 3), remoteDate: "no date" },
+    { ...download("07.mkv", 5), remoteDate: "not a date" },
+  ]);
+  check("Unparsable release dates", { keepNewest: 1 }, rawDateHistory, [
+    "07.mkv",
+  ]);
+} finally {
+  fs.rmSync(folder, { recursive: true, force: true });
+  fs.rmSync(`${folder}.history.json`, { force: true });
+}
@@ -0,0 +1,177 @@
+import fs from "fs";
+import path from "path";
+import { SyncMap } from "@shared/types";
+import { Communication } from "./communication";
+import { DownloadHistory, DownloadHistoryEntry } from "./download-history";
+import { removeEmptyParentFolders, TRASH_FOLDER_NAME } from "./mirror";
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const GIB = 1024 * 1024 * 1024;
+
+interface RetainedFile {
+  localPath: string;
+  size: number;
+  releasedAt: number;
+  downloadedAt: number;
+  // Several remote files can end up in the same local file, e.g. a v2 release.
+  entries: DownloadHistoryEntry[];
+}
+
+export function hasRetentionRules(syncMap: SyncMap): boolean {
+  const retention = syncMap.retention;
+  return !!(
+    retention &&
+    (retention.keepNewest || retention.maxAgeDays || retention.maxSizeGB)
+  );
+}
+
+/**
+ * Returns the local files of a sync map that violate its retention rules.
+ * Only files weebsync downloaded itself are removed, but the size cap counts
+ * every file in the local folder.
+ */
+export function getRetentionRemovals(
+  syncMap: SyncMap,
+  localFolder: string,
+  downloadHistory: DownloadHistory,
+  now: Date = new Date(),
+): RetainedFile[] {
+  const retention = syncMap.retention;
+  if (!retention || !hasRetentionRules(syncMap)) {
+    return [];
+  }
+
+  // Newest release first.
+  const files = getRetainedFiles(syncMap, downloadHistory).sort(
+    (a, b) => b.releasedAt - a.releasedAt,
+  );
+  const removals = new Set<RetainedFile>();
+
+  if (retention.keepNewest) {
+    files.slice(retention.keepNewest).forEach((file) => removals.add(file));
+  }
+
+  if (retention.maxAgeDays) {
+    const cutoff = now.getTime() - retention.maxAgeDays * DAY_IN_MS;
+    files
+      .filter((file) => file.downloadedAt < cutoff)
+      .forEach((file) => removals.add(file));
+  }
+
+  if (retention.maxSizeGB) {
+    // Once the newest files fill the cap, everything older has to go.
+    const maxSize = retention.maxSizeGB * GIB;
+    let keptSize = getUntrackedSize(
+      localFolder,
+      new Set(files.map((file) => path.resolve(file.localPath))),
+    );
+    let full = false;
+    for (const file of files) {
+      if (removals.has(file)) {
+        continue;
+      }
+      if (full || keptSize + file.size > maxSize) {
+        full = true;
+        removals.add(file);
+      } else {
+        keptSize += file.size;
+      }
+    }
+  }
+
+  return files.filter((file) => removals.has(file));
+}
+
+export function applyRetention(
+  syncMap: SyncMap,
+  localFolder: string,
+  downloadHistory: DownloadHistory,
+  communication: Communication,
+): void {
+  for (const file of getRetentionRemovals(
+    syncMap,
+    localFolder,
+    downloadHistory,
+  )) {
+    try {
+      fs.unlinkSync(file.localPath);
+      // Recording the removal keeps the next sync from fetching it again.
+      file.entries.forEach((entry) =>
+        downloadHistory.recordRemoval(entry, "retention"),
+      );
+      removeEmptyParentFolders(file.localPath, localFolder);
+      communication.logInfo(
+        `Deleted "${file.localPath}" because of the retention rules of "${syncMap.id}".`,
+      );
+    } catch (e) {
+      communication.logError(
+        `Could not delete "${file.localPath}": ${e instanceof Error ? e.message : String(e)}`,
+      );
+    }
+  }
+}
+
+function getRetainedFiles(
+  syncMap: SyncMap,
+  downloadHistory: DownloadHistory,
+): RetainedFile[] {
+  const files = new Map<string, RetainedFile>();
+
+  for (const entry of downloadHistory.entriesForSyncMap(syncMap.id)) {
+    const existing = files.get(entry.localPath);
+    if (existing) {
+      existing.entries.push(entry);
+      existing.releasedAt = Math.max(
+        existing.releasedAt,
+        getReleaseTime(entry),
+      );
+      existing.downloadedAt = Math.max(
+        existing.downloadedAt,
+        Date.parse(entry.downloadedAt),
+      );
+      continue;
+    }
+
+    if (!fs.existsSync(entry.localPath)) {
+      continue;
+    }
+    files.set(entry.localPath, {
+      localPath: entry.localPath,
+      size: fs.statSync(entry.localPath).size,
+      releasedAt: getReleaseTime(entry),
+      downloadedAt: Date.parse(entry.downloadedAt),
+      entries: [entry],
+    });
+  }
+
+  return [...files.values()];
+}
+
+// Size of the files in the folder weebsync didn't download, e.g. ones that
+// were already there. The trash empties itself and doesn't count.
+function getUntrackedSize(folder: string, trackedPaths: Set<string>): number {
+  let size = 0;
+  let dirents: fs.Dirent[];
+  try {
+    dirents = fs.readdirSync(folder, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+  for (const dirent of dirents) {
+    const direntPath = path.resolve(folder, dirent.name);
+    if (dirent.isDirectory()) {
+      if (dirent.name !== TRASH_FOLDER_NAME) {
+        size += getUntrackedSize(direntPath, trackedPaths);
+      }
+    } else if (dirent.isFile() && !trackedPaths.has(direntPath)) {
+      size += fs.statSync(direntPath).size;
+    }
+  }
+  return size;
+}
+
+// Raw listing dates can't always be parsed, the download time is close enough.
+function getReleaseTime(entry: DownloadHistoryEntry): number {
+  const remoteDate = Date.parse(entry.remoteDate);
+  return isNaN(remoteDate) ? Date.parse(entry.downloadedAt) : remoteDate;
+}
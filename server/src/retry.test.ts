@@ -0,0 +1,52 @@
+// Simple tests to ensure retries back off exponentially with bounded jitter
+import { getRetryDelay, RetryPolicy } from "./retry";
+
+const policy: RetryPolicy = {
+  maxAttempts: 10,
+  baseDelayMs: 1000,
+  maxDelayMs: 8000,
+};
+
+function check(
+  description: string,
+  attempt: number,
+  random: number,
+  expected: number,
+) {
+  const delay = getRetryDelay(attempt, policy, () => random);
+  console.log(
+    `${description}:`,
+    delay === expected
+      ? "✅ PASSED"
+      : `❌ FAILED: expected ${expected} ms, got ${delay} ms`,
+  );
+}
+
+console.log("Testing retry delays...");
+
+// Without jitter the delay is half of the exponential delay.
+check("First attempt", 1, 0, 500);
+check("Second attempt doubles", 2, 0, 1000);
+check("Third attempt doubles again", 3, 0, 2000);
+check("Capped at the maximum", 5, 0, 4000);
+check("Stays capped", 10, 0, 4000);
+
+// The random half adds up to the other half of the delay.
+check("Half jitter", 2, 0.5, 1500);
+check("Full jitter", 3, 1, 4000);
+check("Full jitter at the cap", 10, 1, 8000);
+
+let inBounds = true;
+for (let attempt = 1; attempt <= 10; attempt++) {
+  for (let i = 0; i < 100; i++) {
+    const delay = getRetryDelay(attempt, policy);
+    const exponentialDelay = Math.min(1000 * 2 ** (attempt - 1), 8000);
+    if (delay < exponentialDelay / 2 || delay > exponentialDelay) {
+      inBounds = false;
+    }
+  }
+}
+console.log(
+  "Random jitter stays within bounds:",
+  inBounds ? "✅ PASSED" : "❌ FAILED",
+);
@@ -0,0 +1,66 @@
+export interface RetryPolicy {
+  maxAttempts: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxAttempts: 5,
+  baseDelayMs: 2000,
+  maxDelayMs: 60000,
+};
+
+// FTP replies that signal a temporary condition on the server side.
+const TRANSIENT_FTP_CODES = [421, 425, 426, 450, 451];
+
+const TRANSIENT_NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EAI_AGAIN",
+];
+
+/**
+ * Exponential backoff with "equal jitter": half of the delay is fixed, the
+ * other half is random so that parallel workers don't retry in lockstep.
+ */
+export function getRetryDelay(
+  attempt: number,
+  policy: RetryPolicy = DEFAULT_RETRY_POLICY,
+  random: () => number = Math.random,
+): number {
+  const exponentialDelay = Math.min(
+    policy.baseDelayMs * 2 ** (attempt - 1),
+    policy.maxDelayMs,
+  );
+  return Math.round(exponentialDelay / 2 + (random() * exponentialDelay) / 2);
+}
+
+export function isTransientError(e: unknown): boolean {
+  if (!(e instanceof Error)) {
+    return false;
+  }
+
+  const code = (e as { code?: unknown }).code;
+  if (typeof code === "number" && TRANSIENT_FTP_CODES.includes(code)) {
+    return true;
+  }
+  if (typeof code === "string" && TRANSIENT_NETWORK_CODES.includes(code)) {
+    return true;
+  }
+
+  // basic-ftp reports timeouts and lost connections without a usable code.
+  return (
+    e.message.startsWith("Timeout") ||
+    e.message.startsWith("Client is closed") ||
+    e.message.includes("Server sent FIN packet")
+  );
+}
+
+export function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,179 @@
+import dayjs from "dayjs";
+import { AutoSyncScheduleEntry, Config } from "@shared/types";
+import { ApplicationState } from "./index";
+import { CronExpression } from "./cron";
+import { syncFiles } from "./sync";
+
+const SCHEDULER_TICK_INTERVAL = 1000;
+const MIN_AUTO_SYNC_INTERVAL_IN_MINUTES = 5;
+
+interface ScheduledSync {
+  syncMapIds: string[];
+  cronSchedule?: string;
+  nextRun: number;
+  getNextRun: (after: Date) => number;
+}
+
+export interface AutoSyncState {
+  timer: NodeJS.Timeout;
+  schedule: ScheduledSync[];
+  pendingSyncMapIds: Set<string>;
+}
+
+function getIntervalInMinutes(config: Config): number {
+  return Math.max(
+    config.autoSyncIntervalInMinutes ? config.autoSyncIntervalInMinutes : 30,
+    MIN_AUTO_SYNC_INTERVAL_IN_MINUTES,
+  );
+}
+
+function buildSchedule(applicationState: ApplicationState): ScheduledSync[] {
+  const { config, communication } = applicationState;
+  const now = new Date();
+  const schedule: ScheduledSync[] = [];
+
+  const intervalSyncMapIds = config.syncMaps
+    .filter((syncMap) => !syncMap.cronSchedule?.trim())
+    .map((syncMap) => syncMap.id);
+  if (intervalSyncMapIds.length > 0) {
+    const interval = getIntervalInMinutes(config) * 60 * 1000;
+    schedule.push({
+      syncMapIds: intervalSyncMapIds,
+      nextRun: now.getTime() + interval,
+      getNextRun: (after) => after.getTime() + interval,
+    });
+    communication.logInfo(
+      `AutoSync enabled! Interval is ${getIntervalInMinutes(config)} minutes.`,
+    );
+  }
+
+  for (const syncMap of config.syncMaps) {
+    const cronSchedule = syncMap.cronSchedule?.trim();
+    if (!cronSchedule) {
+      continue;
+    }
+
+    try {
+      const cron = CronExpression.parse(cronSchedule);
+      const nextRun = cron.next(now).getTime();
+      schedule.push({
+        syncMapIds: [syncMap.id],
+        cronSchedule,
+        nextRun,
+        getNextRun: (after) => cron.next(after).getTime(),
+      });
+      communication.logInfo(
+        `Sync "${syncMap.id}" is scheduled with "${cronSchedule}", next run at ${dayjs(nextRun).format("YYYY-MM-DD HH:mm")}.`,
+      );
+    } catch (e) {
+      communication.logError(
+        `Sync "${syncMap.id}" has an invalid schedule and won't sync automatically: ${e instanceof Error ? e.message : String(e)}`,
+      );
+    }
+  }
+
+  return schedule;
+}
+
+function sendSchedule(applicationState: ApplicationState) {
+  applicationState.communication.sendAutoSyncSchedule(
+    getAutoSyncSchedule(applicationState),
+  );
+}
+
+/**
+ * Marks every sync map that is due as pending and starts a sync for all
+ * pending sync maps as soon as no other sync is running.
+ */
+function tick(applicationState: ApplicationState) {
+  const autoSync = applicationState.autoSync;
+  if (!autoSync) {
+    return;
+  }
+
+  const now = new Date();
+  let scheduleChanged = false;
+  for (const scheduledSync of autoSync.schedule) {
+    if (now.getTime() >= scheduledSync.nextRun) {
+      scheduledSync.syncMapIds.forEach((id) =>
+        autoSync.pendingSyncMapIds.add(id),
+      );
+      scheduledSync.nextRun = scheduledSync.getNextRun(now);
+      scheduleChanged = true;
+    }
+  }
+
+  if (autoSync.pendingSyncMapIds.size > 0 && !applicationState.syncInProgress) {
+    const syncMapIds = [...autoSync.pendingSyncMapIds];
+    autoSync.pendingSyncMapIds.clear();
+    syncFiles(applicationState, syncMapIds).catch((error) => {
+      applicationState.communication.logError(
+        `Scheduled sync failed: ${error instanceof Error ? error.message : "Unknown error"}`,
+      );
+    });
+  }
+
+  if (scheduleChanged) {
+    sendSchedule(applicationState);
+  }
+}
+
+export function getAutoSyncSchedule(
+  applicationState: ApplicationState,
+): AutoSyncScheduleEntry[] {
+  return (applicationState.autoSync?.schedule ?? []).map((scheduledSync) => ({
+    syncMapIds: scheduledSync.syncMapIds,
+    cronSchedule: scheduledSync.cronSchedule,
+    nextRun: new Date(scheduledSync.nextRun).toISOString(),
+  }));
+}
+
+export function toggleAutoSync(
+  applicationState: ApplicationState,
+  enabled: boolean,
+): void {
+  if (applicationState.autoSync) {
+    clearInterval(applicationState.autoSync.timer);
+    delete applicationState.autoSync;
+  }
+
+  if (enabled) {
+    applicationState.autoSync = {
+      schedule: buildSchedule(applicationState),
+      pendingSyncMapIds: new Set(),
+      timer: setInterval(() => tick(applicationState), SCHEDULER_TICK_INTERVAL),
+    };
+  } else {
+    applicationState.communication.logInfo("AutoSync disabled!");
+  }
+
+  sendSchedule(applicationState);
+}
+
+function getScheduleRelevantConfig(config: Config): string {
+  return JSON.stringify({
+    interval: getIntervalInMinutes(config),
+    syncMaps: config.syncMaps.map((s) => [s.id, s.cronSchedule?.trim()]),
+  });
+}
+
+/**
+ * Rebuilds the schedule if a config change affects it.
+ */
+export function updateAutoSyncSchedule(
+  applicationState: ApplicationState,
+  oldConfig: Config,
+): void {
+  if (
+    !applicationState.autoSync ||
+    getScheduleRelevantConfig(oldConfig) ===
+      getScheduleRelevantConfig(applicationState.config)
+  ) {
+    return;
+  }
+
+  applicationState.communication.logInfo(
+    "Auto-sync schedule changed, restarting timer.",
+  );
+  toggleAutoSync(applicationState, true);
+}
@@ -0,0 +1,286 @@
+// Simple tests to ensure secrets survive the browser and the config file
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Config, ServerConfig, WeebsyncPluginBaseInfo } from "@shared/types";
+import {
+  redactConfig,
+  redactPluginConfig,
+  resolveConfigSecrets,
+  restoreConfigSecrets,
+  restorePluginSecrets,
+  SECRET_KEY_ENV,
+  SECRET_MASK,
+  storeConfigSecrets,
+} from "./secrets";
+
+function check(description: string, actual: unknown, expected: unknown) {
+  console.log(
+    `${description}:`,
+    JSON.stringify(actual) === JSON.stringify(expected)
+      ? "✅ PASSED"
+      : `❌ FAILED: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`,
+  );
+}
+
+function createServer(id: string, password: string): ServerConfig {
+  return {
+    id,
+    host: `${id}.example.com`,
+    port: 21,
+    user: "user",
+    password,
+    proxy: {
+      type: "socks5",
+      host: "proxy.example.com",
+      port: 1080,
+      user: "user",
+      password: `proxy-${password}`,
+    },
+  };
+}
+
+function createConfig(servers: ServerConfig[]): Config {
+  return { servers, syncMaps: [] };
+}
+
+console.log("Testing config secrets...");
+
+const storedConfig = createConfig([
+  createServer("main", "secret"),
+  createServer("backup", "other-secret"),
+  { ...createServer("open", ""), proxy: undefined },
+]);
+
+const redacted = redactConfig(storedConfig);
+check(
+  "Passwords are masked",
+  redacted.servers.map((server) => server.password),
+  [SECRET_MASK, SECRET_MASK, ""],
+);
+check(
+  "Proxy passwords are masked",
+  redacted.servers.map((server) => server.proxy?.password),
+  [SECRET_MASK, SECRET_MASK, undefined],
+);
+check(
+  "The stored config is left alone",
+  storedConfig.servers[0].password,
+  "secret",
+);
+
+const unchanged = redactConfig(storedConfig);
+check("Nothing lost", restoreConfigSecrets(unchanged, storedConfig), []);
+check(
+  "The mask is replaced by the stored passwords",
+  unchanged.servers.map((server) => [server.password, server.proxy?.password]),
+  [
+    ["secret", "proxy-secret"],
+    ["other-secret", "proxy-other-secret"],
+    ["", undefined],
+  ],
+);
+
+const changed = redactConfig(storedConfig);
+changed.servers[0].password = "new-secret";
+changed.servers[1].proxy!.password = "";
+check("Changes lose nothing", restoreConfigSecrets(changed, storedConfig), []);
+check("A changed password is kept", changed.servers[0].password, "new-secret");
+check("A cleared password stays empty", changed.servers[1].proxy!.password, "");
+check(
+  "Unchanged passwords next to it are restored",
+  [changed.servers[0].proxy!.password, changed.servers[1].password],
+  ["proxy-secret", "other-secret"],
+);
+
+const renamed = redactConfig(storedConfig);
+renamed.servers[0].id = "renamed";
+check(
+  "The secrets of a renamed server are reported",
+  restoreConfigSecrets(renamed, storedConfig),
+  ['password of server "renamed"', 'proxy password of server "renamed"'],
+);
+check(
+  "The secrets of a renamed server are cleared",
+  [renamed.servers[0].password, renamed.servers[0].proxy!.password],
+  ["", ""],
+);
+check(
+  "Other servers are restored",
+  renamed.servers[1].password,
+  "other-secret",
+);
+
+console.log("\nTesting plugin secrets...");
+
+const definition: WeebsyncPluginBaseInfo["pluginConfigurationDefinition"] = [
+  { type: "label", label: "Account" },
+  { key: "user", type: "text", default: "" },
+  { key: "token", type: "text", default: "", secret: true },
+  { key: "apiKey", type: "text", default: "", secret: true },
+];
+const storedPluginConfig = { user: "me", token: "abc", apiKey: "" };
+
+const redactedPlugin = redactPluginConfig(storedPluginConfig, definition);
+check("Only secret inputs are masked", redactedPlugin, {
+  user: "me",
+  token: SECRET_MASK,
+  apiKey: "",
+});
+check(
+  "The mask is replaced by the stored value",
+  restorePluginSecrets(redactedPlugin, storedPluginConfig, definition),
+  storedPluginConfig,
+);
+check(
+  "A changed value is kept",
+  restorePluginSecrets(
+    { ...redactedPlugin, token: "def" },
+    storedPluginConfig,
+    definition,
+  ),
+  { user: "me", token: "def", apiKey: "" },
+);
+check(
+  "A mask without a stored value is cleared",
+  restorePluginSecrets(
+    { ...redactedPlugin, apiKey: SECRET_MASK },
+    { user: "me" },
+    definition,
+  ),
+  { user: "me", token: "", apiKey: "" },
+);
+check(
+  "The mask in inputs that aren't secret is kept",
+  restorePluginSecrets(
+    { ...redactedPlugin, user: SECRET_MASK },
+    storedPluginConfig,
+    definition,
+  ),
+  { user: SECRET_MASK, token: "abc", apiKey: "" },
+);
+
+console.log("\nTesting stored secrets...");
+
+function getError(action: () => void): string | undefined {
+  try {
+    action();
+  } catch (e) {
+    return e instanceof Error ? e.message : String(e);
+  }
+  return undefined;
+}
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), "weebsync-secrets-"));
+
+try {
+  delete process.env[SECRET_KEY_ENV];
+  const plain = createConfig([createServer("plain", "secret")]);
+  check(
+    "Without a key passwords are stored as they are",
+    storeConfigSecrets(plain).servers[0].password,
+    "secret",
+  );
+
+  process.env[SECRET_KEY_ENV] = "correct horse battery staple";
+  const encrypted = storeConfigSecrets(
+    createConfig([createServer("encrypted", "secret")]),
+  );
+  const encryptedPassword = encrypted.servers[0].password as unknown as {
+    encrypted: string;
+  };
+  check(
+    "With a key passwords are encrypted",
+    /^v1:[^:]+:[^:]+:[^:]+$/.test(encryptedPassword.encrypted ?? ""),
+    true,
+  );
+  check(
+    "The encrypted password doesn't contain it",
+    JSON.stringify(encrypted).includes('"secret"'),
+    false,
+  );
+  const encryptedAgain = storeConfigSecrets(
+    createConfig([createServer("encrypted-again", "secret")]),
+  );
+  check(
+    "Every encryption is different",
+    JSON.stringify(encryptedAgain.servers[0].password) ===
+      JSON.stringify(encryptedPassword),
+    false,
+  );
+
+  const decrypted: Config = JSON.parse(JSON.stringify(encrypted));
+  resolveConfigSecrets(decrypted);
+  check(
+    "Encrypted passwords are decrypted",
+    [decrypted.servers[0].password, decrypted.servers[0].proxy!.password],
+    ["secret", "proxy-secret"],
+  );
+  check(
+    "Decrypted passwords are stored the same way again",
+    storeConfigSecrets(decrypted).servers[0].password,
+    encryptedPassword,
+  );
+
+  process.env[SECRET_KEY_ENV] = "wrong key";
+  check(
+    "A wrong key is reported",
+    getError(() => resolveConfigSecrets(JSON.parse(JSON.stringify(encrypted)))),
+    `The password of server "encrypted" can't be decrypted, ${SECRET_KEY_ENV} doesn't match.`,
+  );
+
+  delete process.env[SECRET_KEY_ENV];
+  check(
+    "A missing key is reported",
+    getError(() => resolveConfigSecrets(JSON.parse(JSON.stringify(encrypted)))),
+    `The password of server "encrypted" is encrypted, but ${SECRET_KEY_ENV} is not set.`,
+  );
+
+  process.env[SECRET_KEY_ENV] = "correct horse battery staple";
+  process.env.WEEB_SYNC_TEST_PASSWORD = "from-env";
+  const secretFile = path.join(folder, "proxy-password");
+  fs.writeFileSync(secretFile, "from-file\n");
+  const referenced = createConfig([createServer("referenced", "")]);
+  const references = {
+    password: { env: "WEEB_SYNC_TEST_PASSWORD" },
+    proxyPassword: { file: secretFile },
+  };
+  const loaded: Config = JSON.parse(JSON.stringify(referenced));
+  Object.assign(loaded.servers[0], { password: references.password });
+  Object.assign(loaded.servers[0].proxy!, {
+    password: references.proxyPassword,
+  });
+  resolveConfigSecrets(loaded);
+  check(
+    "References are resolved",
+    [loaded.servers[0].password, loaded.servers[0].proxy!.password],
+    ["from-env", "from-file"],
+  );
+  const storedReferences = storeConfigSecrets(loaded);
+  check(
+    "Unchanged references are stored as they were loaded",
+    [
+      storedReferences.servers[0].password,
+      storedReferences.servers[0].proxy!.password,
+    ],
+    [references.password, references.proxyPassword],
+  );
+  loaded.servers[0].password = "typed-in";
+  check(
+    "A changed referenced password is encrypted instead",
+    Object.keys(storeConfigSecrets(loaded).servers[0].password),
+    ["encrypted"],
+  );
+
+  delete process.env.WEEB_SYNC_TEST_PASSWORD;
+  const missing: Config = JSON.parse(JSON.stringify(referenced));
+  Object.assign(missing.servers[0], { password: references.password });
+  check(
+    "A missing environment variable is reported",
+    getError(() => resolveConfigSecrets(missing)),
+    'Environment variable WEEB_SYNC_TEST_PASSWORD for the password of server "referenced" is not set.',
+  );
+} finally {
+  delete process.env[SECRET_KEY_ENV];
+  fs.rmSync(folder, { recursive: true, force: true });
+}
@@ -0,0 +1,258 @@
+import crypto from "crypto";
+import fs from "fs";
+import { match, P } from "ts-pattern";
+import { Config, WeebsyncPluginBaseInfo } from "@shared/types";
+
+/**
+ * Stands in for a secret that is sent to the browser. When it comes back
+ * unchanged the stored secret is kept.
+ */
+export const SECRET_MASK = "********";
+
+export const SECRET_KEY_ENV = "WEEB_SYNC_SECRET_KEY";
+
+const ENCRYPTION_VERSION = "v1";
+
+/**
+ * Other ways to write a secret into the config file than plain text. They
+ * are resolved when the config is loaded, so everything else only ever sees
+ * the plain value.
+ */
+export type SecretReference =
+  | { env: string }
+  | { file: string }
+  | { encrypted: string };
+
+interface ResolvedSecret {
+  reference: SecretReference;
+  value: string;
+}
+
+// Where the loaded secrets came from, so saving writes them back the same way.
+const resolvedSecrets = new Map<string, ResolvedSecret>();
+
+type PluginConfigValues = WeebsyncPluginBaseInfo["config"];
+
+interface ConfigSecret {
+  name: string;
+  holder: { password: string | SecretReference };
+}
+
+// Every secret in the config, named after the server it belongs to.
+function getConfigSecrets(config: Config): ConfigSecret[] {
+  const secrets: ConfigSecret[] = [];
+  for (const server of config.servers) {
+    const name = `password of server "${server.id}"`;
+    secrets.push({ name, holder: server });
+    if (server.proxy) {
+      secrets.push({ name: `proxy ${name}`, holder: server.proxy });
+    }
+  }
+  return secrets;
+}
+
+function getPluginSecretKeys(
+  definition: WeebsyncPluginBaseInfo["pluginConfigurationDefinition"],
+): string[] {
+  return definition.flatMap((input) =>
+    input.type !== "label" && input.secret ? [input.key] : [],
+  );
+}
+
+function mask(value: string | SecretReference): string {
+  return value === "" ? value : SECRET_MASK;
+}
+
+/**
+ * Copy of the config that is safe to send to the browser.
+ */
+export function redactConfig(config: Config): Config {
+  const redacted: Config = JSON.parse(JSON.stringify(config));
+  for (const secret of getConfigSecrets(redacted)) {
+    secret.holder.password = mask(secret.holder.password);
+  }
+  return redacted;
+}
+
+/**
+ * Puts the stored secrets back where the browser sent the mask. Secrets that
+ * can't be found anymore, e.g. because the server was renamed, are cleared
+ * and their names returned.
+ */
+export function restoreConfigSecrets(
+  config: Config,
+  storedConfig: Config,
+): string[] {
+  const stored = new Map(
+    getConfigSecrets(storedConfig).map((secret) => [
+      secret.name,
+      secret.holder.password,
+    ]),
+  );
+  const lost: string[] = [];
+  for (const secret of getConfigSecrets(config)) {
+    if (secret.holder.password !== SECRET_MASK) {
+      continue;
+    }
+    const password = stored.get(secret.name);
+    if (password === undefined) {
+      lost.push(secret.name);
+    }
+    secret.holder.password = password ?? "";
+  }
+  return lost;
+}
+
+/**
+ * Copy of a plugin config without the values of inputs marked as secret.
+ */
+export function redactPluginConfig(
+  config: PluginConfigValues,
+  definition: WeebsyncPluginBaseInfo["pluginConfigurationDefinition"],
+): PluginConfigValues {
+  const redacted = { ...config };
+  for (const key of getPluginSecretKeys(definition)) {
+    const value = redacted[key];
+    if (typeof value === "string") {
+      redacted[key] = mask(value);
+    }
+  }
+  return redacted;
+}
+
+export function restorePluginSecrets(
+  config: PluginConfigValues,
+  storedConfig: PluginConfigValues,
+  definition: WeebsyncPluginBaseInfo["pluginConfigurationDefinition"],
+): PluginConfigValues {
+  const restored = { ...config };
+  for (const key of getPluginSecretKeys(definition)) {
+    if (restored[key] === SECRET_MASK) {
+      restored[key] = storedConfig[key] ?? "";
+    }
+  }
+  return restored;
+}
+
+/**
+ * Replaces the secrets referenced in the config by their values. Throws if
+ * one can't be resolved.
+ */
+export function resolveConfigSecrets(config: Config): void {
+  for (const secret of getConfigSecrets(config)) {
+    const reference = secret.holder.password;
+    if (typeof reference === "string") {
+      continue;
+    }
+    const value = resolveSecret(reference, secret.name);
+    resolvedSecrets.set(secret.name, { reference, value });
+    secret.holder.password = value;
+  }
+}
+
+/**
+ * Copy of the config as it is written to the file. Unchanged secrets keep
+ * the form they were loaded in, others are encrypted if a key is set.
+ */
+export function storeConfigSecrets(config: Config): Config {
+  const stored: Config = JSON.parse(JSON.stringify(config));
+  const key = getEncryptionKey();
+  for (const secret of getConfigSecrets(stored)) {
+    const value = secret.holder.password;
+    if (typeof value !== "string" || value === "") {
+      continue;
+    }
+    const resolved = resolvedSecrets.get(secret.name);
+    if (resolved?.value === value) {
+      secret.holder.password = resolved.reference;
+    } else if (key) {
+      const reference = { encrypted: encrypt(value, key) };
+      resolvedSecrets.set(secret.name, { reference, value });
+      secret.holder.password = reference;
+    }
+  }
+  return stored;
+}
+
+function resolveSecret(reference: SecretReference, name: string): string {
+  return match(reference)
+    .with({ env: P.select() }, (variable) => {
+      const value = process.env[variable];
+      if (value === undefined) {
+        throw new Error(
+          `Environment variable ${variable} for the ${name} is not set.`,
+        );
+      }
+      return value;
+    })
+    .with({ file: P.select() }, (path) => {
+      try {
+        // Secret files usually end with a newline that isn't part of it.
+        return fs.readFileSync(path, "utf-8").replace(/\r?\n$/, "");
+      } catch (e) {
+        // Without the error code, a missing file isn't mistaken for a
+        // missing config.
+        throw new Error(
+          `Can't read the ${name} from ${path}: ${e instanceof Error ? e.message : e}`,
+        );
+      }
+    })
+    .with({ encrypted: P.select() }, (encrypted) => {
+      const key = getEncryptionKey();
+      if (!key) {
+        throw new Error(
+          `The ${name} is encrypted, but ${SECRET_KEY_ENV} is not set.`,
+        );
+      }
+      try {
+        return decrypt(encrypted, key);
+      } catch {
+        throw new Error(
+          `The ${name} can't be decrypted, ${SECRET_KEY_ENV} doesn't match.`,
+        );
+      }
+    })
+    .exhaustive();
+}
+
+let encryptionKey: { passphrase: string; key: Buffer } | undefined;
+
+function getEncryptionKey(): Buffer | undefined {
+  const passphrase = process.env[SECRET_KEY_ENV];
+  if (!passphrase) {
+    return undefined;
+  }
+  if (encryptionKey?.passphrase !== passphrase) {
+    // Every secret gets its own IV, so a fixed salt is enough here.
+    const key = crypto.scryptSync(passphrase, "weebsync-secrets", 32);
+    encryptionKey = { passphrase, key };
+  }
+  return encryptionKey.key;
+}
+
+function encrypt(value: string, key: Buffer): string {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(value, "utf-8"), cipher.final()]);
+  const parts = [iv, cipher.getAuthTag(), data].map((part) =>
+    part.toString("base64"),
+  );
+  return [ENCRYPTION_VERSION, ...parts].join(":");
+}
+
+function decrypt(encrypted: string, key: Buffer): string {
+  const [version, iv, tag, data] = encrypted.split(":");
+  if (version !== ENCRYPTION_VERSION || data === undefined) {
+    throw new Error(`Unknown encryption "${version}".`);
+  }
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(iv, "base64"),
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, "base64")),
+    decipher.final(),
+  ]).toString("utf-8");
+}
@@ -0,0 +1,73 @@
+import { match, P } from "ts-pattern";
+import { ServerConfig } from "@shared/types";
+import { ApplicationState } from "./index";
+import { FTP, getFTPClient } from "./ftp";
+
+// Reported like an FTP server without free slots, so callers retry.
+const FTP_SERVICE_NOT_AVAILABLE = 421;
+
+/**
+ * A connection borrowed from the pool for a run of work on one server. If it
+ * dies it is handed back and replaced by a fresh one, so the work can go on
+ * where it stopped instead of failing on a dead client.
+ */
+export class ServerConnection {
+  private _ftp: FTP | null = null;
+
+  constructor(
+    private readonly _server: ServerConfig,
+    private readonly _applicationState: ApplicationState,
+  ) {}
+
+  /**
+   * Borrows the first connection, returns false if there is none.
+   */
+  async open(): Promise<boolean> {
+    try {
+      await this.get();
+      return true;
+    } catch (e) {
+      this._applicationState.communication.logError(
+        e instanceof Error ? e.message : String(e),
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Returns a working connection. Throws a transient error if the pool
+   * couldn't provide one.
+   */
+  async get(): Promise<FTP> {
+    if (this._ftp && !this._ftp.isClosed()) {
+      return this._ftp;
+    }
+    const { config, communication } = this._applicationState;
+    if (this._ftp) {
+      communication.logInfo(
+        `Connection to server "${this._server.id}" was lost, getting a new one.`,
+      );
+      this.release();
+    }
+
+    return match(await getFTPClient(config, this._server, communication))
+      .with({ type: "Ok", data: P.select() }, (ftp) => {
+        this._ftp = ftp;
+        return ftp;
+      })
+      .with({ type: "ConnectionError", message: P.select() }, (message) => {
+        throw Object.assign(
+          new Error(
+            `Connection error for server "${this._server.id}": ${message}`,
+          ),
+          { code: FTP_SERVICE_NOT_AVAILABLE },
+        );
+      })
+      .exhaustive();
+  }
+
+  release(): void {
+    this._ftp?.free();
+    this._ftp = null;
+  }
+}
@@ -0,0 +1,128 @@
+import { Writable } from "stream";
+import SftpClient from "ssh2-sftp-client";
+import { FileInfo, FileType } from "basic-ftp";
+import { ServerConfig } from "@shared/types";
+import { SourceBackend } from "./source-backend";
+import { connectThroughProxy } from "./proxy";
+
+// SFTP status code for "no such file", see draft-ietf-secsh-filexfer.
+const SFTP_NO_SUCH_FILE = 2;
+const FTP_FILE_UNAVAILABLE = 550;
+
+const FILE_TYPES: { [type: string]: FileType } = {
+  "-": FileType.File,
+  d: FileType.Directory,
+  l: FileType.SymbolicLink,
+};
+
+export class SftpBackend implements SourceBackend {
+  private _client: SftpClient | null = null;
+  private _closed = true;
+
+  async connect(server: ServerConfig): Promise<void> {
+    this.close();
+    // An ended client can't always be reconnected, so start from scratch.
+    const client = new SftpClient();
+    client.on("close", () => {
+      if (this._client === client) {
+        this._closed = true;
+      }
+    });
+    await client.connect({
+      host: server.host,
+      port: server.port,
+      username: server.user,
+      password: server.password,
+      sock: server.proxy
+        ? await connectThroughProxy(server.proxy, server.host, server.port)
+        : undefined,
+    });
+    this._client = client;
+    this._closed = false;
+  }
+
+  async listDir(path: string): Promise<FileInfo[]> {
+    const listing = await this._withErrorCodes(() =>
+      this._getClient().list(path),
+    );
+    return listing.map((entry) => {
+      const fileInfo = new FileInfo(entry.name);
+      fileInfo.type = FILE_TYPES[entry.type] ?? FileType.Unknown;
+      fileInfo.size = entry.size;
+      fileInfo.modifiedAt = new Date(entry.modifyTime);
+      fileInfo.rawModifiedAt = fileInfo.modifiedAt.toISOString();
+      return fileInfo;
+    });
+  }
+
+  async cd(path: string): Promise<void> {
+    // SFTP has no working directory, so only make sure the directory exists.
+    const stats = await this._withErrorCodes(() =>
+      this._getClient().stat(path),
+    );
+    if (!stats.isDirectory) {
+      throw Object.assign(new Error(`"${path}" is not a directory.`), {
+        code: FTP_FILE_UNAVAILABLE,
+      });
+    }
+  }
+
+  async size(path: string): Promise<number> {
+    const stats = await this._withErrorCodes(() =>
+      this._getClient().stat(path),
+    );
+    return stats.size;
+  }
+
+  async download(
+    destination: Writable,
+    path: string,
+    startAt: number,
+  ): Promise<void> {
+    await this._withErrorCodes(() =>
+      this._getClient().get(path, destination, {
+        // ssh2 supports a start offset, the typings just don't know about it.
+        readStreamOptions: {
+          start: startAt,
+        } as SftpClient.ReadStreamOptions,
+      }),
+    );
+  }
+
+  async ping(): Promise<void> {
+    await this._getClient().cwd();
+  }
+
+  close(): void {
+    const client = this._client;
+    this._client = null;
+    this._closed = true;
+    client?.end().catch(() => {});
+  }
+
+  isClosed(): boolean {
+    return this._closed;
+  }
+
+  private _getClient(): SftpClient {
+    if (!this._client || this._closed) {
+      throw new Error("Client is closed");
+    }
+    return this._client;
+  }
+
+  // Report missing files like an FTP server would, callers rely on it.
+  private async _withErrorCodes<T>(action: () => Promise<T>): Promise<T> {
+    try {
+      return await action();
+    } catch (e) {
+      if (e instanceof Error) {
+        const code = (e as { code?: unknown }).code;
+        if (code === SFTP_NO_SUCH_FILE || code === "ENOENT") {
+          throw Object.assign(e, { code: FTP_FILE_UNAVAILABLE });
+        }
+      }
+      throw e;
+    }
+  }
+}
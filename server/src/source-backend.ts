@@ -0,0 +1,54 @@
+import { Writable } from "stream";
+import { match } from "ts-pattern";
+import { FileInfo } from "basic-ftp";
+import { ServerConfig } from "@shared/types";
+import { FtpBackend } from "./ftp-backend";
+import { SftpBackend } from "./sftp-backend";
+import { HttpBackend } from "./http-backend";
+import { LocalBackend } from "./local-backend";
+
+/**
+ * The protocol specific part of a connection to the source server. Listings
+ * use basic-ftp's `FileInfo` for every protocol and errors for missing files
+ * carry the FTP code 550, so callers don't need to know the protocol.
+ */
+export interface SourceBackend {
+  connect(server: ServerConfig): Promise<void>;
+  listDir(path: string): Promise<FileInfo[]>;
+  /**
+   * Changes into the directory, failing if it doesn't exist.
+   */
+  cd(path: string): Promise<void>;
+  size(path: string): Promise<number>;
+  /**
+   * Exact modification time of a file, for listings whose dates are too
+   * vague. Undefined if the server can't tell.
+   */
+  lastModified?(path: string): Promise<Date | undefined>;
+  /**
+   * Writes the remote file starting at the given byte offset into the
+   * destination and ends it.
+   */
+  download(destination: Writable, path: string, startAt: number): Promise<void>;
+  /**
+   * Makes the remote file available as the local file without transferring
+   * it, e.g. as a hard link. Returns false if that isn't possible.
+   */
+  link?(path: string, localFile: string): Promise<boolean>;
+  /**
+   * Cheap request that fails if the connection is dead and keeps it from
+   * being closed by the server while idle. Stateless backends don't need it.
+   */
+  ping?(): Promise<void>;
+  close(): void;
+  isClosed(): boolean;
+}
+
+export function createSourceBackend(server: ServerConfig): SourceBackend {
+  return match(server.protocol ?? "ftp")
+    .with("sftp", () => new SftpBackend())
+    .with("webdav", "http", (mode) => new HttpBackend(mode))
+    .with("local", () => new LocalBackend())
+    .with("ftp", () => new FtpBackend())
+    .exhaustive();
+}
@@ -1,24 +1,87 @@
 import fs, { Stats } from "fs";
-import { getFTPClient, FTP } from "./ftp";
+import path from "path";
+import { FTP } from "./ftp";
+import { ServerConnection } from "./server-connection";
 import Handlebars from "handlebars";
 import ErrnoException = NodeJS.ErrnoException;
 import { match, P } from "ts-pattern";
 import { Communication } from "./communication";
 import { FileInfo } from "basic-ftp";
 import { ApplicationState } from "./index";
-import { Config, SyncMap } from "@shared/types";
+import {
+  Config,
+  ServerConfig,
+  SyncMap,
+  SyncPlan,
+  SyncPlanEntry,
+  SyncPlanReason,
+} from "@shared/types";
 import { pluginApis } from "./plugin-system";
+import { getConnectionPoolSettings, getSyncMapServer } from "./config";
+import { DownloadQueue } from "./download-queue";
+import { needsExactDate } from "./listing-dates";
+import { createBandwidthThrottle } from "./bandwidth";
+import { DownloadHistory } from "./download-history";
+import { applyMirrorRemovals, getMirrorRemovals, purgeTrash } from "./mirror";
+import { applyRetention, hasRetentionRules } from "./retention";
+import {
+  DEFAULT_RETRY_POLICY,
+  getRetryDelay,
+  isTransientError,
+  sleep,
+} from "./retry";
 
-let currentWriteStream: fs.WriteStream | null = null;
+const activeWriteStreams = new Set<fs.WriteStream>();
+let syncAborted = false;
 
-export type SyncResult =
-  | { type: "FilesDownloaded" }
-  | { type: "NoDownloadsDetected" }
+const PART_FILE_EXTENSION = ".part";
+// Kept next to the partial download, to tell if the remote file changed since.
+const PART_INFO_EXTENSION = ".json";
+const DEFAULT_MAX_RECURSION_DEPTH = 3;
+
+export type ListingResult =
+  | {
+      type: "Ok";
+      fileMatchesMap: FileMatchesMap;
+      localFolder: string;
+      remotePaths: Set<string>;
+    }
+  | { type: "Error"; error: Error };
+
+export type DownloadResult =
+  | { type: "Downloaded" }
+  | { type: "Incomplete" }
   | { type: "Aborted" }
   | { type: "Error"; error: Error };
 
+interface DownloadJob {
+  syncMap: SyncMap;
+  localFile: string;
+  remoteFile: RemoteFileMatching;
+  decision: DownloadDecision;
+}
+
+interface FailedDownload {
+  job: DownloadJob;
+  reason: string;
+}
+
+interface DownloadRunResult {
+  filesDownloaded: number;
+  failedDownloads: FailedDownload[];
+}
+
+interface ServerSyncMaps {
+  server: ServerConfig;
+  syncMaps: SyncMap[];
+}
+
+/**
+ * Syncs all sync maps, or only the ones with the given ids.
+ */
 export async function syncFiles(
   applicationState: ApplicationState,
+  syncMapIds?: string[],
 ): Promise<void> {
   if (applicationState.syncInProgress) {
     applicationState.communication.logWarning(
@@ -28,48 +91,23 @@ export async function syncFiles(
   }
 
   updateSyncStatus(applicationState, true);
-  const ftpClient = match(
-    await getFTPClient(applicationState.config, applicationState.communication),
-  )
-    .with({ type: "Ok", data: P.select() }, (res) => res)
-    .with({ type: "ConnectionError", message: P.select() }, (err) => {
-      applicationState.communication.logError(`FTP Connection error: ${err}"`);
-      updateSyncStatus(applicationState, false);
-      return null;
-    })
-    .exhaustive();
-
-  if (ftpClient === null) {
-    updateSyncStatus(applicationState, false);
-    applicationState.communication.logError(`Could not sync.`);
-    return;
-  }
+  syncAborted = false;
 
-  applicationState.communication.logInfo(`Attempting to sync.`);
-  let filesDownloaded = false;
-  for (const syncMap of applicationState.config.syncMaps) {
-    const syncResult = await sync(
-      syncMap,
-      ftpClient,
-      applicationState.config,
-      applicationState.communication,
+  let filesDownloaded: number;
+  try {
+    filesDownloaded = await syncSyncMaps(applicationState, syncMapIds);
+  } catch (error) {
+    applicationState.communication.logError(
+      `Sync failed: ${error instanceof Error ? error.message : "Unknown error"}`,
     );
-    const abortSync = match(syncResult)
-      .with({ type: "FilesDownloaded" }, () => {
-        filesDownloaded = true;
-        return false;
-      })
-      .with({ type: "NoDownloadsDetected" }, () => false)
-      .with({ type: "Aborted" }, () => true)
-      .with({ type: "Error" }, () => false)
-      .exhaustive();
-    if (abortSync) {
-      break;
-    }
+    return;
+  } finally {
+    applicationState.downloadHistory.flush();
+    updateSyncStatus(applicationState, false);
   }
-  updateSyncStatus(applicationState, false);
+
   applicationState.communication.logInfo(`Sync done!`);
-  if (filesDownloaded) {
+  if (filesDownloaded > 0) {
     for (const plugin of applicationState.plugins) {
       if (plugin.onFilesDownloadSuccess) {
         await plugin.onFilesDownloadSuccess(
@@ -79,74 +117,299 @@ export async function syncFiles(
       }
     }
   }
+}
+
+/**
+ * Syncs all servers side by side and returns the number of downloaded files.
+ */
+async function syncSyncMaps(
+  applicationState: ApplicationState,
+  syncMapIds?: string[],
+): Promise<number> {
+  applicationState.communication.logInfo(
+    syncMapIds
+      ? `Attempting to sync ${syncMapIds.map((id) => `"${id}"`).join(", ")}.`
+      : `Attempting to sync.`,
+  );
+  const serverSyncMaps = groupSyncMapsByServer(
+    applicationState.config.syncMaps.filter(
+      (syncMap) => !syncMapIds || syncMapIds.includes(syncMap.id),
+    ),
+    applicationState,
+  );
+  // Every server has its own connection pool, so they are synced side by side.
+  const results = await settleAll(
+    serverSyncMaps.map(({ server, syncMaps }) =>
+      syncServer(server, syncMaps, applicationState),
+    ),
+  );
+
+  let filesDownloaded = 0;
+  const failedDownloads: FailedDownload[] = [];
+  const syncedMaps: SyncMap[] = [];
+  results.forEach((result, i) => {
+    if (result) {
+      filesDownloaded += result.filesDownloaded;
+      failedDownloads.push(...result.failedDownloads);
+      syncedMaps.push(...serverSyncMaps[i].syncMaps);
+    }
+  });
 
-  ftpClient.free();
+  if (syncAborted) {
+    applicationState.communication.logWarning(
+      `Sync was manually stopped. Partial downloads were kept and will be resumed on the next sync.`,
+    );
+  } else {
+    for (const syncMap of syncedMaps.filter(hasRetentionRules)) {
+      applyRetention(
+        syncMap,
+        getLocalFolder(syncMap),
+        applicationState.downloadHistory,
+        applicationState.communication,
+      );
+    }
+  }
+  logFailedDownloads(failedDownloads, applicationState.communication);
+  return filesDownloaded;
 }
 
-function updateSyncStatus(applicationState: ApplicationState, status: boolean) {
-  applicationState.syncInProgress = status;
-  applicationState.communication.sendSyncStatus(status);
+/**
+ * Like Promise.all, but only rejects once every promise is settled, so
+ * nothing is still running when the sync counts as done.
+ */
+async function settleAll<T>(promises: Promise<T>[]): Promise<T[]> {
+  const results = await Promise.allSettled(promises);
+  const rejected = results.find(
+    (result): result is PromiseRejectedResult => result.status === "rejected",
+  );
+  if (rejected) {
+    throw rejected.reason;
+  }
+  return results.map((result) => (result as PromiseFulfilledResult<T>).value);
 }
 
-export function toggleAutoSync(
+function groupSyncMapsByServer(
+  syncMaps: SyncMap[],
   applicationState: ApplicationState,
-  enabled: boolean,
-): void {
-  if (applicationState.autoSyncIntervalHandler) {
-    clearInterval(applicationState.autoSyncIntervalHandler);
-    delete applicationState.autoSyncIntervalHandler;
+): ServerSyncMaps[] {
+  const groups = new Map<string, ServerSyncMaps>();
+  for (const syncMap of syncMaps) {
+    const server = getSyncMapServer(applicationState.config, syncMap);
+    if (!server) {
+      applicationState.communication.logError(
+        `Sync "${syncMap.id}" uses server "${syncMap.serverId}" which is not configured.`,
+      );
+      continue;
+    }
+    const group = groups.get(server.id);
+    if (group) {
+      group.syncMaps.push(syncMap);
+    } else {
+      groups.set(server.id, { server, syncMaps: [syncMap] });
+    }
   }
+  return [...groups.values()];
+}
 
-  // Clear any existing timer update interval
-  if (applicationState.autoSyncTimerUpdateHandler) {
-    clearInterval(applicationState.autoSyncTimerUpdateHandler);
-    delete applicationState.autoSyncTimerUpdateHandler;
+/**
+ * Lists and downloads the sync maps of one server. Returns null if the server
+ * could not be reached at all.
+ */
+async function syncServer(
+  server: ServerConfig,
+  syncMaps: SyncMap[],
+  applicationState: ApplicationState,
+): Promise<DownloadRunResult | null> {
+  const connection = new ServerConnection(server, applicationState);
+  if (!(await connection.open())) {
+    applicationState.communication.logError(
+      `Could not sync server "${server.id}".`,
+    );
+    return null;
   }
 
-  if (enabled) {
-    const interval = Math.max(
-      applicationState.config.autoSyncIntervalInMinutes
-        ? applicationState.config.autoSyncIntervalInMinutes
-        : 30,
-      5,
-    );
+  const downloadQueue = new DownloadQueue<DownloadJob>(
+    (job) => job.syncMap.id,
+    (syncMapId) => getSyncMapConcurrency(applicationState.config, syncMapId),
+  );
+  try {
+    for (const syncMap of syncMaps) {
+      const listingResult = await listSyncMapWithRetries(
+        syncMap,
+        connection,
+        applicationState,
+      );
+      if (listingResult.type === "Ok") {
+        buildDownloadJobs(
+          listingResult.fileMatchesMap,
+          syncMap,
+          applicationState,
+        ).forEach((job) => downloadQueue.push(job));
+        mirrorSyncMap(syncMap, listingResult, applicationState);
+        applicationState.downloadHistory.prune(
+          syncMap.id,
+          listingResult.remotePaths,
+        );
+      }
+    }
+  } finally {
+    connection.release();
+  }
 
-    applicationState.communication.logInfo(
-      `AutoSync enabled! Interval is ${interval} minutes.`,
-    );
+  const result = await downloadQueuedFiles(
+    downloadQueue,
+    server,
+    applicationState,
+  );
+  if (!syncAborted) {
+    // Only left over if no worker could get a connection at all.
+    for (const job of downloadQueue.clear()) {
+      result.failedDownloads.push({
+        job,
+        reason: `No connection to server "${server.id}" available.`,
+      });
+    }
+  }
+  return result;
+}
 
-    let nextSyncTime = Date.now() + interval * 60 * 1000;
+function getGlobalConcurrency(config: Config): number {
+  return Math.min(
+    Math.max(config.maxConcurrentDownloads ?? 1, 1),
+    getConnectionPoolSettings(config).maxConnections,
+  );
+}
+
+function getSyncMapConcurrency(config: Config, syncMapId: string): number {
+  const syncMap = config.syncMaps.find((s) => s.id === syncMapId);
+  return Math.max(
+    syncMap?.maxConcurrentDownloads ?? getGlobalConcurrency(config),
+    1,
+  );
+}
 
-    applicationState.autoSyncIntervalHandler = setInterval(
-      () => {
-        syncFiles(applicationState);
-        nextSyncTime = Date.now() + interval * 60 * 1000;
-      },
-      interval * 60 * 1000,
+async function downloadQueuedFiles(
+  downloadQueue: DownloadQueue<DownloadJob>,
+  server: ServerConfig,
+  applicationState: ApplicationState,
+): Promise<DownloadRunResult> {
+  const workerCount = Math.min(
+    getGlobalConcurrency(applicationState.config),
+    downloadQueue.size,
+  );
+  const workers: Promise<DownloadRunResult>[] = [];
+  for (let i = 0; i < workerCount; i++) {
+    workers.push(
+      runDownloadWorker(downloadQueue, server, applicationState).catch(
+        (error) => {
+          // The other workers stop after their current file.
+          downloadQueue.clear();
+          throw error;
+        },
+      ),
     );
+  }
+
+  const resultsPerWorker = await settleAll(workers);
+  return {
+    filesDownloaded: resultsPerWorker.reduce(
+      (sum, result) => sum + result.filesDownloaded,
+      0,
+    ),
+    failedDownloads: resultsPerWorker.flatMap(
+      (result) => result.failedDownloads,
+    ),
+  };
+}
 
-    // Update timer display every second
-    applicationState.autoSyncTimerUpdateHandler = setInterval(() => {
-      const timeRemaining = nextSyncTime - Date.now();
-      if (timeRemaining > 0) {
-        const minutes = Math.floor(timeRemaining / (60 * 1000));
-        const seconds = Math.floor((timeRemaining % (60 * 1000)) / 1000);
-        const timeString = `${minutes}:${seconds.toString().padStart(2, "0")}`;
-        applicationState.communication.sendAutoSyncTimer(timeString);
+async function runDownloadWorker(
+  downloadQueue: DownloadQueue<DownloadJob>,
+  server: ServerConfig,
+  applicationState: ApplicationState,
+): Promise<DownloadRunResult> {
+  const result: DownloadRunResult = { filesDownloaded: 0, failedDownloads: [] };
+  const connection = new ServerConnection(server, applicationState);
+  if (!(await connection.open())) {
+    return result;
+  }
+
+  try {
+    for (
+      let job = await downloadQueue.take();
+      job;
+      job = await downloadQueue.take()
+    ) {
+      try {
+        if (syncAborted) {
+          downloadQueue.clear();
+          break;
+        }
+        const downloadResult = await downloadJobWithRetries(
+          job,
+          connection,
+          applicationState,
+        );
+        match(downloadResult)
+          .with({ type: "Downloaded" }, () => {
+            result.filesDownloaded++;
+          })
+          .with({ type: "Incomplete" }, () => {
+            result.failedDownloads.push({
+              job,
+              reason: "Transfer ended before the file was complete.",
+            });
+          })
+          .with({ type: "Aborted" }, () => {
+            syncAborted = true;
+            downloadQueue.clear();
+          })
+          .with({ type: "Error", error: P.select() }, (error) => {
+            result.failedDownloads.push({
+              job,
+              reason: describeDownloadError(error, job),
+            });
+          })
+          .exhaustive();
+      } finally {
+        downloadQueue.release(job);
       }
-    }, 1000);
-  } else {
-    applicationState.communication.logInfo("AutoSync disabled!");
-    applicationState.communication.sendAutoSyncTimer(null);
+    }
+  } finally {
+    connection.release();
+  }
+
+  return result;
+}
+
+function logFailedDownloads(
+  failedDownloads: FailedDownload[],
+  communication: Communication,
+): void {
+  if (failedDownloads.length === 0) {
+    return;
+  }
+
+  communication.logError(
+    `${failedDownloads.length} file(s) could not be downloaded and will be tried again on the next sync:`,
+  );
+  for (const { job, reason } of failedDownloads) {
+    communication.logError(`- ${job.remoteFile.path}: ${reason}`);
   }
 }
 
+function updateSyncStatus(applicationState: ApplicationState, status: boolean) {
+  applicationState.syncInProgress = status;
+  applicationState.communication.sendSyncStatus(status);
+}
+
 function buildTemplateData(
   match: RegExpExecArray,
   syncMapId: string,
+  relDir: string,
 ): { [key: string]: string } {
   const templateData: { [key: string]: string } = {
     $syncName: syncMapId,
+    $relDir: relDir,
   };
   for (let i = 0; i < match.length; i++) {
     templateData["$" + i] = match[i];
@@ -155,7 +418,7 @@ function buildTemplateData(
 }
 
 function processFileMatch(
-  listingElement: FileInfo,
+  { relDir, listingElement }: RemoteListingElement,
   syncMap: SyncMap,
   match: RegExpExecArray,
   fileMatchesMap: FileMatchesMap,
@@ -164,9 +427,12 @@ function processFileMatch(
     ? Handlebars.compile(syncMap.fileRenameTemplate)
     : Handlebars.compile(listingElement.name);
 
-  const templateData = buildTemplateData(match, syncMap.id);
-  const newName = renameTemplate(templateData);
-  const remoteFile = `${syncMap.originFolder}/${listingElement.name}`;
+  const templateData = buildTemplateData(match, syncMap.id, relDir);
+  // Without a rename template the remote folder structure is mirrored.
+  const newName = syncMap.rename
+    ? renameTemplate(templateData)
+    : joinPath(relDir, renameTemplate(templateData));
+  const remoteFile = getRemotePath(syncMap, { relDir, listingElement });
   const localFile = Handlebars.compile(
     `${syncMap.destinationFolder}/${newName}`,
   )(templateData);
@@ -189,14 +455,15 @@ function processFileMatch(
 }
 
 function getFileMatchesMap(
-  dir: FileInfo[],
+  dir: RemoteListingElement[],
   syncMap: SyncMap,
   config: Config,
   communication: Communication,
 ): FileMatchesMap {
   const fileMatchesMap: FileMatchesMap = {};
 
-  for (const listingElement of dir) {
+  for (const remoteListingElement of dir) {
+    const { listingElement } = remoteListingElement;
     const regex = syncMap.rename ? new RegExp(syncMap.fileRegex) : /no_rename/;
     const match = syncMap.rename
       ? regex.exec(listingElement.name)
@@ -211,52 +478,222 @@ function getFileMatchesMap(
       continue;
     }
 
-    processFileMatch(listingElement, syncMap, match, fileMatchesMap);
+    processFileMatch(remoteListingElement, syncMap, match, fileMatchesMap);
   }
 
   return fileMatchesMap;
 }
 
 export function abortSync(): void {
-  if (currentWriteStream) {
-    currentWriteStream.destroy(new Error("Manual abortion."));
+  syncAborted = true;
+  for (const writeStream of activeWriteStreams) {
+    writeStream.destroy(new Error("Manual abortion."));
   }
 }
 
-function shouldDownloadFile(
+interface DownloadDecision {
+  reason: Exclude<SyncPlanReason, "conflict" | "removed">;
+  detail?: string;
+}
+
+function getDownloadDecision(
   fileMatches: FileMatchesMapEntry,
   latestRemoteMatch: RemoteFileMatching,
-): boolean {
+  syncMap: SyncMap,
+  downloadHistory: DownloadHistory,
+): DownloadDecision {
+  const historyEntry = downloadHistory.find(syncMap.id, latestRemoteMatch.path);
+  if (historyEntry?.removalReason === "retention") {
+    return {
+      reason: "skipped",
+      detail: `Deleted by retention rules on ${historyEntry.removedAt}.`,
+    };
+  }
+  if (
+    syncMap.redownloadPolicy === "never" &&
+    historyEntry?.remoteSize === latestRemoteMatch.listingElement.size
+  ) {
+    return {
+      reason: "skipped",
+      detail: `Already downloaded on ${historyEntry.downloadedAt}.`,
+    };
+  }
+
   if (!fileMatches.fileStatOnDisk) {
-    return true;
+    return historyEntry
+      ? { reason: "new", detail: "Downloaded before but missing locally." }
+      : { reason: "new" };
   }
-  return (
-    fileMatches.fileStatOnDisk.size !== latestRemoteMatch.listingElement.size
-  );
+  return fileMatches.fileStatOnDisk.size !==
+    latestRemoteMatch.listingElement.size
+    ? { reason: "sizeChanged" }
+    : { reason: "skipped" };
 }
 
 function logFileDownloadReason(
-  fileMatches: FileMatchesMapEntry,
-  localFile: string,
+  job: DownloadJob,
   communication: Communication,
 ): void {
-  if (fileMatches.fileStatOnDisk) {
+  if (job.decision.reason === "sizeChanged") {
     communication.logWarning(
-      `New version or damaged file detected, reloading ${localFile}`,
+      `New version or damaged file detected, reloading ${job.localFile}`,
+    );
+  } else if (job.decision.detail) {
+    communication.logInfo(
+      `${job.decision.detail} Loading ${job.localFile} again.`,
     );
   } else {
-    communication.logInfo(`New episode detected, loading ${localFile} now.`);
+    communication.logInfo(
+      `New episode detected, loading ${job.localFile} now.`,
+    );
   }
 }
 
-async function downloadMatchedFiles(
-  fileMatchesMap: FileMatchesMap,
+interface PartFileInfo {
+  remoteSize: number;
+  remoteDate: string;
+}
+
+function getRemoteDate(listingElement: FileInfo): string {
+  return (
+    listingElement.modifiedAt?.toISOString() ?? listingElement.rawModifiedAt
+  );
+}
+
+function isPartOfRemoteFile(partFile: string, info: PartFileInfo): boolean {
+  try {
+    const storedInfo: PartFileInfo = JSON.parse(
+      fs.readFileSync(`${partFile}${PART_INFO_EXTENSION}`, "utf-8"),
+    );
+    return (
+      storedInfo.remoteSize === info.remoteSize &&
+      storedInfo.remoteDate === info.remoteDate
+    );
+  } catch {
+    return false;
+  }
+}
+
+function removePartFile(partFile: string): void {
+  fs.rmSync(partFile, { force: true });
+  fs.rmSync(`${partFile}${PART_INFO_EXTENSION}`, { force: true });
+}
+
+function waitForStreamClose(stream: fs.WriteStream): Promise<void> {
+  if (stream.closed) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => stream.once("close", () => resolve()));
+}
+
+async function downloadFile(
   ftpClient: FTP,
-  config: Config,
+  job: DownloadJob,
+  applicationState: ApplicationState,
+): Promise<boolean> {
+  const { remoteFile, localFile } = job;
+  const { communication } = applicationState;
+  const partFile = `${localFile}${PART_FILE_EXTENSION}`;
+  const remoteSize = remoteFile.listingElement.size;
+  const partInfo: PartFileInfo = {
+    remoteSize,
+    remoteDate: getRemoteDate(remoteFile.listingElement),
+  };
+
+  fs.mkdirSync(path.dirname(localFile), { recursive: true });
+  if (await ftpClient.link(remoteFile.path, localFile)) {
+    // A partial copy from before is of no use anymore.
+    removePartFile(partFile);
+    communication.logInfo(`Linked ${localFile} to ${remoteFile.path}.`);
+    recordDownload(job, applicationState);
+    return true;
+  }
+
+  let startAt = 0;
+  if (fs.existsSync(partFile)) {
+    if (isPartOfRemoteFile(partFile, partInfo)) {
+      startAt = fs.statSync(partFile).size;
+    } else {
+      communication.logInfo(
+        `Partial download "${partFile}" is of another version of the remote file, starting over.`,
+      );
+    }
+  }
+
+  if (startAt > remoteSize) {
+    communication.logWarning(
+      `Partial download "${partFile}" is larger than the remote file, starting over.`,
+    );
+    startAt = 0;
+  }
+
+  if (remoteSize === 0) {
+    // Nothing to transfer, the file only has to exist.
+    fs.writeFileSync(partFile, "");
+  } else if (startAt < remoteSize) {
+    if (startAt > 0) {
+      communication.logInfo(
+        `Resuming download of ${localFile} at byte ${startAt} of ${remoteSize}.`,
+      );
+    } else {
+      fs.writeFileSync(
+        `${partFile}${PART_INFO_EXTENSION}`,
+        JSON.stringify(partInfo),
+      );
+    }
+
+    const writeStream = fs.createWriteStream(partFile, {
+      flags: startAt > 0 ? "a" : "w",
+    });
+    activeWriteStreams.add(writeStream);
+    try {
+      await ftpClient.getFile(
+        remoteFile.path,
+        writeStream,
+        remoteSize,
+        startAt,
+        createBandwidthThrottle(() => applicationState.config),
+      );
+    } finally {
+      await waitForStreamClose(writeStream);
+      activeWriteStreams.delete(writeStream);
+    }
+  }
+
+  const downloadedSize = fs.statSync(partFile).size;
+  if (downloadedSize !== remoteSize) {
+    communication.logWarning(
+      `Download of ${localFile} is incomplete (${downloadedSize} of ${remoteSize} bytes).`,
+    );
+    return false;
+  }
+
+  fs.renameSync(partFile, localFile);
+  removePartFile(partFile);
+  recordDownload(job, applicationState);
+  return true;
+}
+
+function recordDownload(
+  { syncMap, remoteFile, localFile }: DownloadJob,
+  applicationState: ApplicationState,
+): void {
+  applicationState.downloadHistory.record({
+    syncMapId: syncMap.id,
+    remotePath: remoteFile.path,
+    remoteSize: remoteFile.listingElement.size,
+    remoteDate: getRemoteDate(remoteFile.listingElement),
+    localPath: localFile,
+  });
+}
+
+function buildDownloadJobs(
+  fileMatchesMap: FileMatchesMap,
   syncMap: SyncMap,
-  communication: Communication,
-): Promise<number> {
-  let filesDownloaded = 0;
+  applicationState: ApplicationState,
+): DownloadJob[] {
+  const { config, communication, downloadHistory } = applicationState;
+  const jobs: DownloadJob[] = [];
 
   for (const [localFile, fileMatches] of Object.entries(fileMatchesMap)) {
     const latestRemoteMatch = getLatestMatchingFile(fileMatches);
@@ -267,29 +704,109 @@ async function downloadMatchedFiles(
       );
     }
 
-    if (!shouldDownloadFile(fileMatches, latestRemoteMatch)) {
+    const decision = getDownloadDecision(
+      fileMatches,
+      latestRemoteMatch,
+      syncMap,
+      downloadHistory,
+    );
+    if (decision.reason === "skipped") {
       continue;
     }
 
-    logFileDownloadReason(fileMatches, localFile, communication);
+    jobs.push({
+      syncMap,
+      localFile,
+      remoteFile: latestRemoteMatch,
+      decision,
+    });
+  }
 
-    currentWriteStream = fs.createWriteStream(localFile);
-    await ftpClient.getFile(
-      latestRemoteMatch.path,
-      currentWriteStream,
-      latestRemoteMatch.listingElement.size,
+  return jobs;
+}
+
+/**
+ * Downloads a job, retrying transient failures with exponential backoff.
+ * Every retry resumes from the partial file of the previous attempt, on a
+ * new connection if the previous one died.
+ */
+async function downloadJobWithRetries(
+  job: DownloadJob,
+  connection: ServerConnection,
+  applicationState: ApplicationState,
+): Promise<DownloadResult> {
+  const { communication } = applicationState;
+  logFileDownloadReason(job, communication);
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await downloadJob(job, connection, applicationState);
+    const retryable = match(result)
+      .with({ type: "Incomplete" }, () => true)
+      .with({ type: "Error", error: P.select() }, (error) =>
+        isTransientError(error),
+      )
+      .otherwise(() => false);
+    if (
+      !retryable ||
+      syncAborted ||
+      attempt >= DEFAULT_RETRY_POLICY.maxAttempts
+    ) {
+      return result;
+    }
+
+    const delay = getRetryDelay(attempt);
+    communication.logWarning(
+      `Attempt ${attempt} of ${DEFAULT_RETRY_POLICY.maxAttempts} for "${job.remoteFile.path}" failed${result.type === "Error" ? ` (${result.error.message})` : ""}, retrying in ${(delay / 1000).toFixed(1)}s.`,
     );
-    filesDownloaded++;
+    await sleep(delay);
+    if (syncAborted) {
+      return { type: "Aborted" };
+    }
   }
+}
 
-  return filesDownloaded;
+async function downloadJob(
+  job: DownloadJob,
+  connection: ServerConnection,
+  applicationState: ApplicationState,
+): Promise<DownloadResult> {
+  try {
+    const ftpClient = await connection.get();
+    return (await downloadFile(ftpClient, job, applicationState))
+      ? { type: "Downloaded" }
+      : { type: "Incomplete" };
+  } catch (e) {
+    return handleDownloadError(e);
+  }
 }
 
-function handleSyncError(
+function handleDownloadError(e: unknown): DownloadResult {
+  if (e instanceof Error) {
+    // Some backends wrap the error of the destroyed stream in their own.
+    if (syncAborted || e.message === "Manual abortion.") {
+      return { type: "Aborted" };
+    }
+    return { type: "Error", error: e };
+  }
+  return { type: "Error", error: new Error(String(e)) };
+}
+
+function describeDownloadError(error: Error, job: DownloadJob): string {
+  if ("code" in error && (error as { code: number }).code === 550) {
+    return `File "${job.remoteFile.path}" does not exist on remote anymore.`;
+  }
+  return error.message;
+}
+
+function handleListingError(
   e: unknown,
   syncMap: SyncMap,
   communication: Communication,
-): SyncResult {
+): ListingResult {
+  // Transient errors are retried and reported by the caller.
+  if (isTransientError(e)) {
+    return { type: "Error", error: e as Error };
+  }
   if (e instanceof Error) {
     if ("code" in e) {
       const error = e as { code: number };
@@ -299,11 +816,6 @@ function handleSyncError(
         );
       }
       return { type: "Error", error: e };
-    } else if (e.message === "Manual abortion.") {
-      communication.logWarning(
-        `Sync was manually stopped. File will be downloaded again.`,
-      );
-      return { type: "Aborted" };
     } else {
       communication.logError(`Unknown error ${e.message}`);
       return { type: "Error", error: e };
@@ -317,16 +829,53 @@ function handleSyncError(
   };
 }
 
-async function sync(
+async function listSyncMapWithRetries(
+  syncMap: SyncMap,
+  connection: ServerConnection,
+  applicationState: ApplicationState,
+): Promise<ListingResult> {
+  const { config, communication } = applicationState;
+
+  for (let attempt = 1; ; attempt++) {
+    let result: ListingResult;
+    try {
+      result = await listSyncMap(
+        syncMap,
+        await connection.get(),
+        config,
+        communication,
+      );
+    } catch (e) {
+      result = handleListingError(e, syncMap, communication);
+    }
+
+    if (result.type === "Ok" || !isTransientError(result.error)) {
+      return result;
+    }
+    if (syncAborted || attempt >= DEFAULT_RETRY_POLICY.maxAttempts) {
+      communication.logError(
+        `Could not list "${syncMap.originFolder}" for sync "${syncMap.id}": ${result.error.message}`,
+      );
+      return result;
+    }
+
+    const delay = getRetryDelay(attempt);
+    communication.logWarning(
+      `Attempt ${attempt} of ${DEFAULT_RETRY_POLICY.maxAttempts} to list "${syncMap.originFolder}" failed (${result.error.message}), retrying in ${(delay / 1000).toFixed(1)}s.`,
+    );
+    await sleep(delay);
+  }
+}
+
+async function listSyncMap(
   syncMap: SyncMap,
   ftpClient: FTP,
   config: Config,
   communication: Communication,
-): Promise<SyncResult> {
-  const localFolder = Handlebars.compile(syncMap.destinationFolder)({
-    $syncName: syncMap.id,
-  });
-  if (!createLocalFolder(localFolder, communication).exists) {
+  dryRun: boolean = false,
+): Promise<ListingResult> {
+  const localFolder = getLocalFolder(syncMap);
+  if (!dryRun && !createLocalFolder(localFolder, communication).exists) {
     return {
       type: "Error",
       error: new Error(`Could not create local folder "${localFolder}"`),
@@ -335,13 +884,19 @@ async function sync(
 
   try {
     await ftpClient.cd(syncMap.originFolder);
-    const dir = await ftpClient.listDir(syncMap.originFolder);
+    const dir = await listRemoteFiles(
+      syncMap,
+      ftpClient,
+      config,
+      communication,
+    );
     const fileMatchesMap = getFileMatchesMap(
       dir,
       syncMap,
       config,
       communication,
     );
+    await resolveVagueDates(fileMatchesMap, ftpClient);
 
     if (
       syncMap.rename &&
@@ -353,22 +908,298 @@ async function sync(
       );
     }
 
-    const filesDownloaded = await downloadMatchedFiles(
+    return {
+      type: "Ok",
       fileMatchesMap,
-      ftpClient,
-      config,
+      localFolder,
+      remotePaths: new Set(dir.map((file) => getRemotePath(syncMap, file))),
+    };
+  } catch (e) {
+    return handleListingError(e, syncMap, communication);
+  }
+}
+
+/**
+ * Picking the latest of several matching files needs exact dates, so
+ * candidates whose listing date is missing or only shows the day are looked
+ * up one by one (MDTM for FTP).
+ */
+async function resolveVagueDates(
+  fileMatchesMap: FileMatchesMap,
+  ftpClient: FTP,
+): Promise<void> {
+  for (const { remoteFilesMatching } of Object.values(fileMatchesMap)) {
+    if (remoteFilesMatching.length < 2) {
+      continue;
+    }
+    for (const remoteFile of remoteFilesMatching) {
+      if (!needsExactDate(remoteFile.listingElement)) {
+        continue;
+      }
+      const modifiedAt = await ftpClient.lastModified(remoteFile.path);
+      if (modifiedAt) {
+        remoteFile.listingElement.modifiedAt = modifiedAt;
+      }
+    }
+  }
+}
+
+/**
+ * Lists all files of the origin folder and, if the sync map is recursive, of
+ * its subfolders up to the configured depth. Excluded folders are skipped
+ * entirely, folders that don't match the include pattern are still searched
+ * for deeper folders that do.
+ */
+async function listRemoteFiles(
+  syncMap: SyncMap,
+  ftpClient: FTP,
+  config: Config,
+  communication: Communication,
+): Promise<RemoteListingElement[]> {
+  const maxDepth = syncMap.recursive
+    ? (syncMap.maxRecursionDepth ?? DEFAULT_MAX_RECURSION_DEPTH)
+    : 0;
+  const includeRegex = syncMap.directoryIncludeRegex
+    ? new RegExp(syncMap.directoryIncludeRegex)
+    : null;
+  const excludeRegex = syncMap.directoryExcludeRegex
+    ? new RegExp(syncMap.directoryExcludeRegex)
+    : null;
+
+  const files: RemoteListingElement[] = [];
+  const pendingDirs = [{ relDir: "", depth: 0 }];
+  while (pendingDirs.length > 0) {
+    const { relDir, depth } = pendingDirs.shift()!;
+    const listing = await ftpClient.listDir(
+      joinPath(syncMap.originFolder, relDir),
+    );
+    const includeFiles =
+      relDir === "" || !includeRegex || includeRegex.test(relDir);
+
+    for (const listingElement of listing) {
+      if (!listingElement.isDirectory) {
+        if (includeFiles) {
+          files.push({ relDir, listingElement });
+        }
+        continue;
+      }
+
+      if (
+        depth >= maxDepth ||
+        listingElement.name === "." ||
+        listingElement.name === ".."
+      ) {
+        continue;
+      }
+      const subDir = joinPath(relDir, listingElement.name);
+      if (excludeRegex?.test(subDir)) {
+        if (config.debugFileNames) {
+          communication.logDebug(`Folder "${subDir}" is excluded. Skipping.`);
+        }
+        continue;
+      }
+      pendingDirs.push({ relDir: subDir, depth: depth + 1 });
+    }
+  }
+
+  return files;
+}
+
+function getLocalFolder(syncMap: SyncMap): string {
+  return Handlebars.compile(syncMap.destinationFolder)({
+    $syncName: syncMap.id,
+  });
+}
+
+function getRemotePath(
+  syncMap: SyncMap,
+  { relDir, listingElement }: RemoteListingElement,
+): string {
+  return `${joinPath(syncMap.originFolder, relDir)}/${listingElement.name}`;
+}
+
+function joinPath(base: string, relative: string): string {
+  if (!relative) {
+    return base;
+  }
+  return base ? `${base}/${relative}` : relative;
+}
+
+function buildSyncPlanEntries(
+  fileMatchesMap: FileMatchesMap,
+  syncMap: SyncMap,
+  downloadHistory: DownloadHistory,
+): SyncPlanEntry[] {
+  const entries: SyncPlanEntry[] = [];
+
+  for (const [localFile, fileMatches] of Object.entries(fileMatchesMap)) {
+    const latestRemoteMatch = getLatestMatchingFile(fileMatches);
+    entries.push({
+      syncMapId: syncMap.id,
+      remotePath: latestRemoteMatch.path,
+      localPath: localFile,
+      ...getDownloadDecision(
+        fileMatches,
+        latestRemoteMatch,
+        syncMap,
+        downloadHistory,
+      ),
+    });
+
+    for (const remoteMatch of fileMatches.remoteFilesMatching) {
+      if (remoteMatch === latestRemoteMatch) {
+        continue;
+      }
+      entries.push({
+        syncMapId: syncMap.id,
+        remotePath: remoteMatch.path,
+        localPath: localFile,
+        reason: "conflict",
+        detail: `Renames to the same file as the newer "${latestRemoteMatch.listingElement.name}", which takes precedence.`,
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Lists and matches every sync map like a real sync would, but only reports
+ * what would happen instead of downloading anything.
+ */
+export async function planSync(
+  applicationState: ApplicationState,
+): Promise<SyncPlan> {
+  const plan: SyncPlan = { entries: [], errors: [] };
+  for (const { server, syncMaps } of groupSyncMapsByServer(
+    applicationState.config.syncMaps,
+    applicationState,
+  )) {
+    await planServerSync(server, syncMaps, applicationState, plan);
+  }
+  return plan;
+}
+
+async function planServerSync(
+  server: ServerConfig,
+  syncMaps: SyncMap[],
+  applicationState: ApplicationState,
+  plan: SyncPlan,
+): Promise<void> {
+  const connection = new ServerConnection(server, applicationState);
+  if (!(await connection.open())) {
+    plan.errors.push(
+      ...syncMaps.map((syncMap) => ({
+        syncMapId: syncMap.id,
+        message: `Could not connect to server "${server.id}".`,
+      })),
+    );
+    return;
+  }
+
+  try {
+    for (const syncMap of syncMaps) {
+      let ftpClient: FTP;
+      try {
+        ftpClient = await connection.get();
+      } catch (e) {
+        plan.errors.push({
+          syncMapId: syncMap.id,
+          message: e instanceof Error ? e.message : String(e),
+        });
+        continue;
+      }
+      const listingResult = await listSyncMap(
+        syncMap,
+        ftpClient,
+        applicationState.config,
+        applicationState.communication,
+        true,
+      );
+      if (listingResult.type === "Ok") {
+        plan.entries.push(
+          ...buildSyncPlanEntries(
+            listingResult.fileMatchesMap,
+            syncMap,
+            applicationState.downloadHistory,
+          ),
+          ...buildMirrorPlanEntries(
+            listingResult,
+            syncMap,
+            applicationState.downloadHistory,
+          ),
+        );
+      } else {
+        plan.errors.push({
+          syncMapId: syncMap.id,
+          message: listingResult.error.message,
+        });
+      }
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+function buildMirrorPlanEntries(
+  listingResult: Extract<ListingResult, { type: "Ok" }>,
+  syncMap: SyncMap,
+  downloadHistory: DownloadHistory,
+): SyncPlanEntry[] {
+  return getMirrorRemovals(
+    syncMap,
+    listingResult.remotePaths,
+    new Set(Object.keys(listingResult.fileMatchesMap)),
+    downloadHistory,
+  ).map((entry) => ({
+    syncMapId: syncMap.id,
+    remotePath: entry.remotePath,
+    localPath: entry.localPath,
+    reason: "removed",
+    detail:
+      syncMap.mirrorPolicy === "trash"
+        ? "Removed on the remote, will be moved to the trash."
+        : "Removed on the remote, will be deleted.",
+  }));
+}
+
+/**
+ * Removes local files of a sync map in mirror mode whose remote file is gone
+ * and empties its trash.
+ */
+function mirrorSyncMap(
+  syncMap: SyncMap,
+  listingResult: Extract<ListingResult, { type: "Ok" }>,
+  applicationState: ApplicationState,
+): void {
+  const { communication, downloadHistory } = applicationState;
+  const removals = getMirrorRemovals(
+    syncMap,
+    listingResult.remotePaths,
+    new Set(Object.keys(listingResult.fileMatchesMap)),
+    downloadHistory,
+  );
+  if (removals.length > 0) {
+    applyMirrorRemovals(
       syncMap,
+      removals,
+      listingResult.localFolder,
+      downloadHistory,
       communication,
     );
+  }
 
-    return filesDownloaded > 0
-      ? { type: "FilesDownloaded" }
-      : { type: "NoDownloadsDetected" };
-  } catch (e) {
-    return handleSyncError(e, syncMap, communication);
+  if (syncMap.mirrorPolicy === "trash") {
+    purgeTrash(syncMap, listingResult.localFolder, communication);
   }
 }
 
+interface RemoteListingElement {
+  // Folder of the file relative to the origin folder, "" for the origin itself.
+  relDir: string;
+  listingElement: FileInfo;
+}
+
 interface RemoteFileMatching {
   path: string;
   listingElement: FileInfo;
@@ -386,9 +1217,10 @@ interface FileMatchesMap {
 function getLatestMatchingFile(
   fileMatches: FileMatchesMapEntry,
 ): RemoteFileMatching {
-  fileMatches.remoteFilesMatching.sort((a, b) =>
-    a.listingElement.date > b.listingElement.date ? -1 : 1,
-  );
+  // Files without a known date lose against any with one.
+  const getTime = ({ listingElement }: RemoteFileMatching) =>
+    listingElement.modifiedAt?.getTime() ?? -Infinity;
+  fileMatches.remoteFilesMatching.sort((a, b) => getTime(b) - getTime(a));
 
   return fileMatches.remoteFilesMatching[0];
 }
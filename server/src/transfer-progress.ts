@@ -0,0 +1,107 @@
+import { Communication } from "./communication";
+
+interface Transfer {
+  size: number;
+  startAt: number;
+  startTime: number;
+  getBytesTransferred: () => number;
+}
+
+const PROGRESS_UPDATE_INTERVAL = 500;
+const MAX_SPEED_HISTORY_LENGTH = 5; // Keep last 5 measurements for smoothing
+
+const transfers = new Set<Transfer>();
+let speedHistory: number[] = [];
+let progressTimer: NodeJS.Timeout | undefined;
+
+/**
+ * Registers a running transfer. All running transfers are combined into a
+ * single bottom bar update, so parallel downloads don't overwrite each other.
+ * Returns a function that has to be called once the transfer has ended.
+ */
+export function trackTransfer(
+  communication: Communication,
+  size: number,
+  startAt: number,
+  getBytesTransferred: () => number,
+): () => void {
+  const transfer: Transfer = {
+    size,
+    startAt,
+    startTime: Date.now(),
+    getBytesTransferred,
+  };
+  transfers.add(transfer);
+
+  if (!progressTimer) {
+    progressTimer = setInterval(
+      () => updateBottomBar(communication),
+      PROGRESS_UPDATE_INTERVAL,
+    );
+  }
+
+  return () => {
+    transfers.delete(transfer);
+    if (transfers.size === 0) {
+      clearInterval(progressTimer);
+      progressTimer = undefined;
+      speedHistory = [];
+      communication.updateBottomBar({
+        fileProgress: "",
+        downloadSpeed: "",
+      });
+    }
+  };
+}
+
+function updateBottomBar(communication: Communication) {
+  const currentTime = Date.now();
+  let totalSize = 0;
+  let totalBytes = 0;
+  let bytesPerSecond = 0;
+  let hasMeaningfulSpeed = false;
+
+  for (const transfer of transfers) {
+    const currentBytes = transfer.getBytesTransferred();
+    totalSize += transfer.size;
+    totalBytes += transfer.startAt + currentBytes;
+
+    const totalTimeInSeconds = (currentTime - transfer.startTime) / 1000;
+
+    // Only calculate after 1 second and if we have meaningful data
+    if (totalTimeInSeconds >= 1 && currentBytes > 0) {
+      bytesPerSecond += currentBytes / totalTimeInSeconds;
+      hasMeaningfulSpeed = true;
+    }
+  }
+
+  const progress = totalSize > 0 ? (totalBytes / totalSize) * 100 : 0;
+  const progressText = `${progress.toFixed(2).padStart(6, " ")}%`;
+  const fileProgress =
+    transfers.size > 1
+      ? `${transfers.size} files ${progressText}`
+      : progressText;
+
+  if (!hasMeaningfulSpeed) {
+    communication.updateBottomBar({
+      fileProgress,
+      downloadSpeed: "... MiB/s",
+    });
+    return;
+  }
+
+  // Convert to MiB/s using binary (1024) - Mebibyte = 1,048,576 bytes
+  speedHistory.push(bytesPerSecond / (1024 * 1024));
+  if (speedHistory.length > MAX_SPEED_HISTORY_LENGTH) {
+    speedHistory.shift(); // Remove oldest measurement
+  }
+
+  // Calculate smoothed speed (simple moving average of MiB/s)
+  const smoothedMebibytesPerSecond =
+    speedHistory.reduce((sum, speed) => sum + speed, 0) / speedHistory.length;
+
+  communication.updateBottomBar({
+    fileProgress,
+    downloadSpeed: `${smoothedMebibytesPerSecond.toFixed(1).padStart(7, " ")} MiB/s`,
+  });
+}
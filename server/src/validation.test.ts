@@ -3,6 +3,8 @@ import {
   validateConfig,
   validatePath,
   validateRegexDebugInput,
+  validateInput,
+  setupSchema,
 } from "./validation";
 
 // Test configuration validation
@@ -10,15 +12,19 @@ console.log("Testing configuration validation...");
 
 // Valid config
 const validConfig = {
-  server: {
-    host: "example.com",
-    port: 21,
-    user: "testuser",
-    password: "testpass",
-  },
+  servers: [
+    {
+      id: "seedbox",
+      host: "example.com",
+      port: 21,
+      user: "testuser",
+      password: "testpass",
+    },
+  ],
   syncMaps: [
     {
       id: "test1",
+      serverId: "seedbox",
       originFolder: "/remote/path",
       destinationFolder: "/local/path",
       fileRegex: ".*\\.mp4$",
@@ -40,10 +46,13 @@ console.log(
 
 // Invalid config - missing required fields
 const invalidConfig = {
-  server: {
-    host: "example.com",
-    // Missing port, user, password
-  },
+  servers: [
+    {
+      id: "seedbox",
+      host: "example.com",
+      // Missing port, user, password
+    },
+  ],
   syncMaps: [],
 };
 
@@ -55,6 +64,139 @@ console.log(
     : "❌ FAILED (should have been rejected)",
 );
 
+// Invalid config - unparsable cron schedule
+const invalidCronConfig = {
+  ...validConfig,
+  syncMaps: [{ ...validConfig.syncMaps[0], cronSchedule: "every monday" }],
+};
+
+const invalidCronResult = validateConfig(invalidCronConfig);
+console.log(
+  "Invalid cron schedule result:",
+  !invalidCronResult.isValid
+    ? "✅ PASSED (correctly rejected)"
+    : "❌ FAILED (should have been rejected)",
+);
+
+// Invalid config - sync map bound to a server that doesn't exist
+const unknownServerConfig = {
+  ...validConfig,
+  syncMaps: [{ ...validConfig.syncMaps[0], serverId: "other" }],
+};
+
+const unknownServerResult = validateConfig(unknownServerConfig);
+console.log(
+  "Unknown server result:",
+  !unknownServerResult.isValid
+    ? "✅ PASSED (correctly rejected)"
+    : "❌ FAILED (should have been rejected)",
+);
+
+// Invalid config - two server profiles with the same id
+const duplicateServerConfig = {
+  ...validConfig,
+  servers: [validConfig.servers[0], { ...validConfig.servers[0] }],
+};
+
+const duplicateServerResult = validateConfig(duplicateServerConfig);
+console.log(
+  "Duplicate server id result:",
+  !duplicateServerResult.isValid
+    ? "✅ PASSED (correctly rejected)"
+    : "❌ FAILED (should have been rejected)",
+);
+
+// Valid config - password read from an environment variable
+const envSecretConfig = {
+  ...validConfig,
+  servers: [{ ...validConfig.servers[0], password: { env: "SEEDBOX_PASS" } }],
+};
+
+const envSecretResult = validateConfig(envSecretConfig);
+console.log(
+  "Env secret result:",
+  envSecretResult.isValid ? "✅ PASSED" : `❌ FAILED: ${envSecretResult.error}`,
+);
+
+// Invalid config - clients can't make the server read secrets
+for (const password of [
+  { env: "WEEB_SYNC_SECRET_KEY" },
+  { file: "/etc/shadow" },
+  { encrypted: "v1:a:b:c" },
+]) {
+  const clientSecretResult = validateConfig(
+    {
+      ...validConfig,
+      servers: [{ ...validConfig.servers[0], password }],
+    },
+    "client",
+  );
+  console.log(
+    `Client ${Object.keys(password)[0]} secret result:`,
+    !clientSecretResult.isValid
+      ? "✅ PASSED (correctly rejected)"
+      : "❌ FAILED (should have been rejected)",
+  );
+}
+
+const clientProxySecretResult = validateConfig(
+  {
+    ...validConfig,
+    servers: [
+      {
+        ...validConfig.servers[0],
+        proxy: {
+          type: "socks5",
+          host: "proxy.example.com",
+          port: 1080,
+          user: "user",
+          password: { env: "HOME" },
+        },
+      },
+    ],
+  },
+  "client",
+);
+console.log(
+  "Client proxy secret result:",
+  !clientProxySecretResult.isValid
+    ? "✅ PASSED (correctly rejected)"
+    : "❌ FAILED (should have been rejected)",
+);
+
+const clientMaskResult = validateConfig(
+  {
+    ...validConfig,
+    servers: [{ ...validConfig.servers[0], password: "********" }],
+  },
+  "client",
+);
+console.log(
+  "Client masked secret result:",
+  clientMaskResult.isValid
+    ? "✅ PASSED"
+    : `❌ FAILED: ${clientMaskResult.error}`,
+);
+
+// Invalid config - a secret can only come from one place
+const ambiguousSecretConfig = {
+  ...validConfig,
+  servers: [
+    {
+      ...validConfig.servers[0],
+      password: { env: "SEEDBOX_PASS", file: "/run/secrets/ftp" },
+    },
+  ],
+};
+
+const ambiguousSecretResult = validateConfig(ambiguousSecretConfig);
+console.log(
+  "Ambiguous secret result:",
+  !ambiguousSecretResult.isValid
+    ? "✅ PASSED (correctly rejected)"
+    : "❌ FAILED (should have been rejected)",
+);
+
 // Test path validation
 console.log("\nTesting path validation...");
 
@@ -78,6 +220,7 @@ console.log(
 console.log("\nTesting regex debug validation...");
 
 const validRegexInput = {
+  serverId: "seedbox",
   originFolder: "/test/folder",
   fileRegex: ".*\\.txt$",
   fileRenameTemplate: "{filename}_processed",
@@ -90,6 +233,29 @@ console.log(
   regexResult.isValid ? "✅ PASSED" : `❌ FAILED: ${regexResult.error}`,
 );
 
+// Test account validation
+console.log("\nTesting account validation...");
+
+const setupResult = validateInput(setupSchema, {
+  user: "admin",
+  password: "correct horse",
+});
+console.log(
+  "Valid account result:",
+  setupResult.isValid ? "✅ PASSED" : `❌ FAILED: ${setupResult.error}`,
+);
+
+const shortPasswordResult = validateInput(setupSchema, {
+  user: "admin",
+  password: "short",
+});
+console.log(
+  "Short password result:",
+  !shortPasswordResult.isValid
+    ? "✅ PASSED (correctly rejected)"
+    : "❌ FAILED (should have been rejected)",
+);
+
 console.log("\n🎉 Input validation implementation completed!");
 console.log(
   "All validation schemas are working correctly and protecting against invalid inputs.",
@@ -1,42 +1,265 @@
 import Joi from "joi";
-import { Config, SyncMap } from "@shared/types";
+import { Config, ListDirPageOptions, SyncMap } from "@shared/types";
+import { CronExpression } from "./cron";
+
+const serverIdSchema = Joi.string().min(1).max(50);
+
+const directoryRegexSchema = Joi.string()
+  .max(1000)
+  .allow("")
+  .optional()
+  .custom((value: string) => {
+    new RegExp(value);
+    return value;
+  }, "regular expression");
 
 // Validation schemas
 export const syncMapSchema = Joi.object<SyncMap>({
   id: Joi.string().min(1).max(50).required(),
+  serverId: serverIdSchema.required(),
   originFolder: Joi.string().min(1).max(500).required(),
   destinationFolder: Joi.string().min(1).max(500).required(),
   fileRegex: Joi.string().max(1000).allow("").optional().default(".*"),
   fileRenameTemplate: Joi.string().max(500).allow("").optional().default(""),
   rename: Joi.boolean().optional().default(false),
+  maxConcurrentDownloads: Joi.number().integer().min(1).max(10).optional(),
+  redownloadPolicy: Joi.string()
+    .valid("ifMissing", "never")
+    .optional()
+    .default("ifMissing"),
+  cronSchedule: Joi.string()
+    .max(100)
+    .allow("")
+    .optional()
+    .custom((value: string) => {
+      if (value.trim()) {
+        CronExpression.parse(value);
+      }
+      return value;
+    }, "cron expression"),
+  recursive: Joi.boolean().optional().default(false),
+  maxRecursionDepth: Joi.number().integer().min(1).max(20).optional(),
+  directoryIncludeRegex: directoryRegexSchema,
+  directoryExcludeRegex: directoryRegexSchema,
+  mirrorPolicy: Joi.string()
+    .valid("off", "trash", "delete")
+    .optional()
+    .default("off"),
+  trashRetentionDays: Joi.number().integer().min(1).max(365).optional(),
+  retention: Joi.object({
+    keepNewest: Joi.number().integer().min(0).max(10000).optional(),
+    maxAgeDays: Joi.number().integer().min(0).max(3650).optional(),
+    maxSizeGB: Joi.number().min(0).max(100000).optional(),
+  }).optional(),
 });
 
-export const serverConfigSchema = Joi.object({
+// Secrets can also come from the environment, a file (e.g. a Docker secret)
+// or be encrypted, see secrets.ts.
+const secretReferenceSchema = Joi.object({
+  env: Joi.string()
+    .pattern(/^[A-Za-z_][A-Za-z0-9_]*$/)
+    .max(100),
+  file: Joi.string().min(1).max(500),
+  encrypted: Joi.string().min(1).max(2000),
+}).xor("env", "file", "encrypted");
+
+// References only count in the config file. From the browser they would let
+// anyone who can change the config send files or environment variables of
+// the server to a host of their choice.
+function secretSchema(plainSchema: Joi.StringSchema) {
+  return Joi.alternatives().conditional(Joi.object(), {
+    then: Joi.when("$source", {
+      is: "file",
+      then: secretReferenceSchema,
+      otherwise: Joi.forbidden().messages({
+        "any.unknown":
+          "{{#label}} can only reference a secret in the config file",
+      }),
+    }),
+    otherwise: plainSchema,
+  });
+}
+
+export const proxySchema = Joi.object({
+  type: Joi.string().valid("socks5", "http").required(),
   host: Joi.string().hostname().required(),
   port: Joi.number().port().required(),
-  user: Joi.string().min(1).max(100).required(),
-  password: Joi.string().min(1).max(200).required(),
+  user: Joi.string().max(100).allow("").default(""),
+  password: secretSchema(Joi.string().max(200).allow("")).default(""),
+});
+
+export const serverConfigSchema = Joi.object({
+  id: serverIdSchema.required(),
+  protocol: Joi.string()
+    .valid("ftp", "sftp", "webdav", "http", "local")
+    .optional()
+    .default("ftp"),
+  tls: Joi.string()
+    .valid("none", "explicit", "implicit")
+    .optional()
+    .default("explicit"),
+  https: Joi.boolean().optional(),
+  timezoneOffsetMinutes: Joi.number().integer().min(-720).max(840).optional(),
+  // The local filesystem needs no address at all.
+  host: Joi.string().when("protocol", {
+    is: "local",
+    then: Joi.string().allow("").optional().default(""),
+    otherwise: Joi.string().hostname().required(),
+  }),
+  port: Joi.number().when("protocol", {
+    is: "local",
+    then: Joi.number().port().optional().default(0),
+    otherwise: Joi.number().port().required(),
+  }),
+  // HTTP sources are often public and local ones have no login.
+  user: Joi.string()
+    .max(100)
+    .when("protocol", {
+      is: Joi.valid("webdav", "http", "local"),
+      then: Joi.string().allow(""),
+      otherwise: Joi.string().min(1),
+    })
+    .required(),
+  password: secretSchema(
+    Joi.string()
+      .max(200)
+      .when("protocol", {
+        is: Joi.valid("webdav", "http", "local"),
+        then: Joi.string().allow(""),
+        otherwise: Joi.string().min(1),
+      }),
+  ).required(),
+  proxy: proxySchema.optional(),
+});
+
+const timeOfDaySchema = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({ "string.pattern.base": "{{#label}} must be a time like 07:30" });
+
+const bandwidthLimitKeys = {
+  totalMiBps: Joi.number().min(0).max(10000).default(0),
+  perTransferMiBps: Joi.number().min(0).max(10000).default(0),
+};
+
+export const bandwidthScheduleSchema = Joi.object({
+  from: timeOfDaySchema.required(),
+  to: timeOfDaySchema.required(),
+  ...bandwidthLimitKeys,
+});
+
+export const bandwidthSchema = Joi.object({
+  ...bandwidthLimitKeys,
+  schedules: Joi.array().items(bandwidthScheduleSchema).max(20).default([]),
+});
+
+export const connectionPoolSchema = Joi.object({
+  maxConnections: Joi.number().integer().min(1).max(10).default(3),
+  keepaliveSeconds: Joi.number().integer().min(0).max(3600).default(30),
+  idleTimeoutSeconds: Joi.number().integer().min(10).max(3600).default(300),
+  acquireTimeoutSeconds: Joi.number().integer().min(1).max(3600).default(120),
 });
 
 export const configSchema = Joi.object<Config>({
-  server: serverConfigSchema.required(),
+  servers: Joi.array()
+    .items(serverConfigSchema)
+    .min(1)
+    .max(20)
+    .unique("id")
+    .required(),
   syncMaps: Joi.array().items(syncMapSchema).min(0).max(50).default([]),
   autoSyncIntervalInMinutes: Joi.number().min(1).max(1440).default(30),
   syncOnStart: Joi.boolean().default(false),
-});
+  maxConcurrentDownloads: Joi.number().integer().min(1).max(10).default(1),
+  bandwidth: bandwidthSchema.default({
+    totalMiBps: 0,
+    perTransferMiBps: 0,
+    schedules: [],
+  }),
+  connectionPool: connectionPoolSchema.default({
+    maxConnections: 3,
+    keepaliveSeconds: 30,
+    idleTimeoutSeconds: 300,
+    acquireTimeoutSeconds: 120,
+  }),
+}).custom((config: Config) => {
+  const serverIds = new Set(config.servers.map((server) => server.id));
+  const syncMap = config.syncMaps.find((s) => !serverIds.has(s.serverId));
+  if (syncMap) {
+    throw new Error(
+      `sync map "${syncMap.id}" uses unknown server "${syncMap.serverId}"`,
+    );
+  }
+  return config;
+}, "server references");
 
 // Socket event validation schemas
 export const pathSchema = Joi.string().min(1).max(1000).required();
 
 export const regexDebugSchema = Joi.object({
+  serverId: serverIdSchema.required(),
   originFolder: Joi.string().min(1).max(500).required(),
   fileRegex: Joi.string().max(1000).required(),
   fileRenameTemplate: Joi.string().max(500).allow("").default(""),
   syncName: Joi.string().min(1).max(100).required(),
 });
 
+export const listDirPageOptionsSchema = Joi.object({
+  offset: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(5000).default(500),
+  sortBy: Joi.string().valid("name", "size", "modifiedAt").default("name"),
+  sortDesc: Joi.boolean().default(false),
+  filter: Joi.string().max(200).allow("").default(""),
+  refresh: Joi.boolean().default(false),
+}).default();
+
+const userNameSchema = Joi.string()
+  .min(1)
+  .max(50)
+  .pattern(/^[\w.@-]+$/)
+  .messages({
+    "string.pattern.base":
+      "{{#label}} may only contain letters, digits, _ . @ and -",
+  });
+const currentPasswordSchema = Joi.string().min(1).max(200);
+const newPasswordSchema = Joi.string().min(8).max(200);
+
+export const loginSchema = Joi.object({
+  user: userNameSchema.required(),
+  password: currentPasswordSchema.required(),
+});
+
+export const setupSchema = Joi.object({
+  user: userNameSchema.required(),
+  password: newPasswordSchema.required(),
+});
+
+const roleSchema = Joi.string().valid("admin", "viewer");
+
+export const newUserSchema = Joi.object({
+  user: userNameSchema.required(),
+  password: newPasswordSchema.required(),
+  role: roleSchema.required(),
+});
+
+export const userRoleSchema = Joi.object({
+  role: roleSchema.required(),
+});
+
+export const changePasswordSchema = Joi.object({
+  currentPassword: currentPasswordSchema.required(),
+  newPassword: newPasswordSchema.required(),
+});
+
 // Validation helper functions
-export function validateConfig(config: unknown): {
+
+/**
+ * Configs sent by a client may only contain plain secrets or the mask,
+ * secret references are for the config file.
+ */
+export function validateConfig(
+  config: unknown,
+  source: "file" | "client" = "file",
+): {
   isValid: boolean;
   error?: string;
   value?: Config;
@@ -45,6 +268,7 @@ export function validateConfig(config: unknown): {
     stripUnknown: true,
     abortEarly: false,
     allowUnknown: false,
+    context: { source },
   });
 
   if (result.error) {
@@ -74,10 +298,28 @@ export function validatePath(path: unknown): {
   return { isValid: true, value: result.value };
 }
 
+export function validateServerId(serverId: unknown): {
+  isValid: boolean;
+  error?: string;
+  value?: string;
+} {
+  const result = serverIdSchema.required().validate(serverId);
+
+  if (result.error) {
+    return {
+      isValid: false,
+      error: `Server id validation failed: ${result.error.message}`,
+    };
+  }
+
+  return { isValid: true, value: result.value };
+}
+
 export function validateRegexDebugInput(input: unknown): {
   isValid: boolean;
   error?: string;
   value?: {
+    serverId: string;
     originFolder: string;
     fileRegex: string;
     fileRenameTemplate: string;
@@ -96,6 +338,45 @@ export function validateRegexDebugInput(input: unknown): {
   return { isValid: true, value: result.value };
 }
 
+export function validateListDirPageOptions(options: unknown): {
+  isValid: boolean;
+  error?: string;
+  value?: ListDirPageOptions;
+} {
+  const result = listDirPageOptionsSchema.validate(options, {
+    stripUnknown: true,
+  });
+
+  if (result.error) {
+    return {
+      isValid: false,
+      error: `List options validation failed: ${result.error.message}`,
+    };
+  }
+
+  return { isValid: true, value: result.value };
+}
+
+export function validateInput<T>(
+  schema: Joi.Schema<T>,
+  input: unknown,
+): {
+  isValid: boolean;
+  error?: string;
+  value?: T;
+} {
+  const result = schema.validate(input, { stripUnknown: true });
+
+  if (result.error) {
+    return {
+      isValid: false,
+      error: `Validation failed: ${result.error.message}`,
+    };
+  }
+
+  return { isValid: true, value: result.value };
+}
+
 // Generic validation wrapper for socket events
 export function withValidation<T, R>(
   schema: Joi.Schema<T>,
@@ -10,6 +10,8 @@ export interface PluginInputDefinition {
   default: number | string | boolean | string[];
   placeholder?: string;
   description?: string;
+  /** Masked when sent to the browser, e.g. for tokens. */
+  secret?: boolean;
   enableWhen?: {
     key: string;
     is: number | string | boolean;
@@ -34,7 +36,30 @@ export interface ServerToClientEvents {
   updateBottomBar: (content: BottomBarUpdateEvent) => void;
   syncStatus: (syncStatus: boolean) => void;
   config: (config: Config) => void;
-  autoSyncTimer: (timeRemaining: string | null) => void;
+  autoSyncSchedule: (schedule: AutoSyncScheduleEntry[]) => void;
+  certificatePin: (pin: CertificatePin) => void;
+  connectionPoolStats: (stats: ConnectionPoolStats[]) => void;
+  stateSnapshot: (snapshot: StateSnapshot) => void;
+}
+
+/**
+ * Sent to each client when it connects, so it starts with the current state,
+ * also after a reconnect. Later changes are sent to all clients.
+ */
+export interface StateSnapshot {
+  logs: Log[];
+  config: Config;
+  syncStatus: boolean;
+  bottomBar: BottomBarUpdateEvent;
+  autoSyncSchedule: AutoSyncScheduleEntry[];
+  certificatePins: CertificatePin[];
+  connectionPoolStats: ConnectionPoolStats[];
+}
+
+export interface AutoSyncScheduleEntry {
+  syncMapIds: string[];
+  cronSchedule?: string;
+  nextRun: string;
 }
 
 export interface RegexDebugResult {
@@ -51,8 +76,27 @@ export interface RegexMatch {
   groups: string[];
 }
 
+export type SyncPlanReason =
+  | "new"
+  | "sizeChanged"
+  | "skipped"
+  | "conflict"
+  | "removed";
+
+export interface SyncPlanEntry {
+  syncMapId: string;
+  remotePath: string;
+  localPath: string;
+  reason: SyncPlanReason;
+  detail?: string;
+}
+
+export interface SyncPlan {
+  entries: SyncPlanEntry[];
+  errors: { syncMapId?: string; message: string }[];
+}
+
 export interface ClientToServerEvents {
-  getLogs: (cb: (logs: Log[]) => void) => void;
   getVersion: (cb: (version: string) => void) => void;
   getLatestVersion: (cb: (version: string) => void) => void;
   getPlugins: (cb: (plugins: WeebsyncPluginBaseInfo[]) => void) => void;
@@ -61,21 +105,35 @@ export interface ClientToServerEvents {
     config: WeebsyncPluginBaseInfo["config"],
   ) => void;
   listDir: (
+    serverId: string,
     path: string,
     cb: (path: string, result: FileInfo[]) => void,
   ) => void;
-  checkDir: (path: string, cb: (exists: boolean) => void) => void;
+  listDirPage: (
+    serverId: string,
+    path: string,
+    options: ListDirPageOptions,
+    cb: (page: ListDirPage | null) => void,
+  ) => void;
+  checkDir: (
+    serverId: string,
+    path: string,
+    cb: (exists: boolean) => void,
+  ) => void;
   listLocalDir: (
     path: string,
     cb: (path: string, result: FileInfo[]) => void,
   ) => void;
   checkLocalDir: (path: string, cb: (exists: boolean) => void) => void;
   config: (config: Config) => void;
-  getConfig: (cb: (config: Config) => void) => void;
-  getSyncStatus: (cb: (syncStatus: boolean) => void) => void;
   sync: () => void;
   stopSync: () => void;
+  getSyncPlan: (cb: (plan: SyncPlan) => void) => void;
+  getCertificatePins: (cb: (pins: CertificatePin[]) => void) => void;
+  trustCertificate: (server: string, fingerprint: string) => void;
+  getConnectionPoolStats: (cb: (stats: ConnectionPoolStats[]) => void) => void;
   getRegexDebugInfo: (
+    serverId: string,
     originFolder: string,
     fileRegex: string,
     fileRenameTemplate: string,
@@ -93,22 +151,237 @@ export interface Config {
   autoSyncIntervalInMinutes?: number;
   debugFileNames?: boolean;
   startAsTray?: boolean;
-  server: {
-    host: string;
-    port: number;
-    user: string;
-    password: string;
+  maxConcurrentDownloads?: number;
+  bandwidth?: BandwidthLimit & {
+    schedules: BandwidthSchedule[];
   };
+  connectionPool?: ConnectionPoolSettings;
+  servers: ServerConfig[];
   syncMaps: SyncMap[];
 }
 
+/**
+ * Applies to the pool of every server. Keepalives are sent to idle
+ * connections, 0 disables them.
+ */
+export interface ConnectionPoolSettings {
+  maxConnections: number;
+  keepaliveSeconds: number;
+  idleTimeoutSeconds: number;
+  acquireTimeoutSeconds: number;
+}
+
+/**
+ * Snapshot of the connection pool of a server. `failed` counts connections
+ * that couldn't be made or failed their health check since the start.
+ */
+export interface ConnectionPoolStats {
+  serverId: string;
+  idle: number;
+  busy: number;
+  waiting: number;
+  failed: number;
+  maxConnections: number;
+  lastError?: string;
+}
+
+/**
+ * A server profile sync maps can pull from, identified by its name.
+ */
+export interface ServerConfig {
+  id: string;
+  protocol?: SourceProtocol;
+  /** Only used for FTP, SFTP is always encrypted. */
+  tls?: FtpTlsMode;
+  /**
+   * Only used for FTP servers without MLSD, whose listings show dates in
+   * the server's local time. Minutes east of UTC, defaults to 0.
+   */
+  timezoneOffsetMinutes?: number;
+  /** Only used for WebDAV and HTTP, defaults to true. */
+  https?: boolean;
+  host: string;
+  port: number;
+  user: string;
+  password: string;
+  /** Connections to the server are tunneled through it if set. */
+  proxy?: ProxyConfig;
+}
+
+/**
+ * User and password may be empty for proxies without authentication.
+ */
+export interface ProxyConfig {
+  type: ProxyType;
+  host: string;
+  port: number;
+  user: string;
+  password: string;
+}
+
+/**
+ * "http" tunnels through an HTTP proxy with CONNECT.
+ */
+export type ProxyType = "socks5" | "http";
+
+/**
+ * "webdav" lists WebDAV collections, "http" parses HTML directory indexes and
+ * "local" reads from the local filesystem, e.g. a mounted share.
+ */
+export type SourceProtocol = "ftp" | "sftp" | "webdav" | "http" | "local";
+
+/**
+ * "explicit" upgrades the connection with AUTH TLS (FTPES), "implicit" talks
+ * TLS from the start (FTPS, usually port 990).
+ */
+export type FtpTlsMode = "none" | "explicit" | "implicit";
+
+/**
+ * SHA-256 fingerprint of the certificate pinned for a server ("host:port").
+ * A different certificate is refused and remembered as rejected until the
+ * user trusts it.
+ */
+export interface CertificatePin {
+  server: string;
+  fingerprint: string;
+  pinnedAt: string;
+  rejectedFingerprint?: string;
+  rejectedAt?: string;
+}
+
+/**
+ * Throughput limits in MiB/s, 0 means unlimited.
+ */
+export interface BandwidthLimit {
+  totalMiBps: number;
+  perTransferMiBps: number;
+}
+
+/**
+ * Overrides the default bandwidth limit between two times of day ("HH:mm").
+ */
+export interface BandwidthSchedule extends BandwidthLimit {
+  from: string;
+  to: string;
+}
+
 export interface SyncMap {
   id: string;
+  /** Id of the server profile to sync from. */
+  serverId: string;
   originFolder: string;
   destinationFolder: string;
   fileRegex: string;
   fileRenameTemplate: string;
   rename: boolean;
+  maxConcurrentDownloads?: number;
+  /**
+   * "ifMissing" downloads files again when they are missing locally,
+   * "never" skips every file that is already in the download history.
+   */
+  redownloadPolicy?: "ifMissing" | "never";
+  /**
+   * Cron expression (minute hour day-of-month month day-of-week) to sync this
+   * map on its own schedule instead of the global auto-sync interval.
+   */
+  cronSchedule?: string;
+  /**
+   * Also sync files from subfolders of the origin folder. Their path relative
+   * to the origin folder is available to the rename template as {{$relDir}}.
+   */
+  recursive?: boolean;
+  maxRecursionDepth?: number;
+  /** Only sync files from subfolders whose relative path matches. */
+  directoryIncludeRegex?: string;
+  /** Skip subfolders whose relative path matches, including their contents. */
+  directoryExcludeRegex?: string;
+  /**
+   * Remove local files weebsync downloaded for this map once they are gone
+   * from the remote, either into a trash folder inside the destination
+   * folder or for good.
+   */
+  mirrorPolicy?: "off" | "trash" | "delete";
+  /** Days trashed files are kept before they are deleted. */
+  trashRetentionDays?: number;
+  retention?: RetentionRules;
+}
+
+/**
+ * Rules to delete downloaded files of a sync map after each sync. Unset or 0
+ * disables a rule. Deleted files are not downloaded again.
+ */
+export interface RetentionRules {
+  keepNewest?: number;
+  maxAgeDays?: number;
+  maxSizeGB?: number;
+}
+
+export type ListDirSortKey = "name" | "size" | "modifiedAt";
+
+/**
+ * Which part of a remote directory to return. Directories always come
+ * first; `filter` matches names case-insensitively. Listings are cached for
+ * a minute unless `refresh` is set.
+ */
+export interface ListDirPageOptions {
+  offset: number;
+  limit: number;
+  sortBy?: ListDirSortKey;
+  sortDesc?: boolean;
+  filter?: string;
+  refresh?: boolean;
+}
+
+export interface ListDirPage {
+  path: string;
+  items: FileInfo[];
+  /** Number of entries matching the filter, across all pages. */
+  total: number;
+  offset: number;
+  /** When the server was asked for the listing, ISO 8601. */
+  listedAt: string;
+}
+
+/**
+ * Admins may change anything, viewers only watch syncs and browse servers.
+ */
+export type UserRole = "admin" | "viewer";
+
+export interface AuthUser {
+  name: string;
+  role: UserRole;
+}
+
+/**
+ * Answer of `GET /api/auth/status`. `user` is set if the request carried a
+ * valid session token.
+ */
+export interface AuthStatus {
+  setupRequired: boolean;
+  user: AuthUser | null;
+}
+
+export interface AuthSession {
+  token: string;
+  user: AuthUser;
+}
+
+export interface UserAccount extends AuthUser {
+  createdAt: string;
+}
+
+export interface NewUserAccount extends Credentials {
+  role: UserRole;
+}
+
+export interface Credentials {
+  user: string;
+  password: string;
+}
+
+export interface PasswordChange {
+  currentPassword: string;
+  newPassword: string;
 }
 
 export interface FileInfo {